@@ -32,6 +32,9 @@ console.log(percent)
     tracker.on('error', (data, error) => {
         process.send({context: 'error', data, error})
     })
+    tracker.on('state', (data) => {
+        process.send({context: 'state', data})
+    })
 }
 
 assignListeners()
@@ -48,7 +51,7 @@ process.on('message', (msg) => {
                 res.then((v) => {
                     process.send({result: v, context: func})
                 }).catch((err) => {
-                    process.send({result: err.message || err, context: func})
+                    process.send({result: err.message || err, error: {message: err.message, code: err.code}, context: func})
                 })
             } else {
                 process.send({result: res, context: func})
@@ -64,6 +67,16 @@ process.on('message', (msg) => {
             tracker = new target(...(msg.args))
             assignListeners()
         }
+    } else if(msg.task === 'proxyCredentials'){
+        // This process cannot decrypt the stored proxy password, the launcher passes it on.
+        require('./httpclient').setProxyCredentials(msg.username, msg.password)
+    } else if(msg.task === 'pause' || msg.task === 'resume' || msg.task === 'cancel'){
+        // Download control, only supported by the AssetGuard.
+        if(typeof tracker[msg.task] === 'function'){
+            tracker[msg.task]()
+        } else {
+            process.send({context: 'error', data: null, error: `Task ${msg.task} not supported by ${target.name}`})
+        }
     }
 })
 
@@ -1,18 +1,50 @@
 // Requirements
 const AdmZip        = require('adm-zip')
 const async         = require('async')
-const axios         = require('axios')
 const child_process = require('child_process')
 const crypto        = require('crypto')
 const EventEmitter  = require('events')
 const fs            = require('fs-extra')
+const os            = require('os')
 const path          = require('path')
+const stream        = require('stream')
 const tar           = require('tar-fs')
+const util          = require('util')
 const zlib          = require('zlib')
 
 const ConfigManager = require('./configmanager')
+const HttpClient    = require('./httpclient')
 const isDev         = require('./isdev')
 const Registry = require('winreg')
+const ValidationIndex = require('./validationindex')
+const VersionManifest = require('./versionmanifest')
+
+const pipeline = util.promisify(stream.pipeline)
+
+/**
+ * Base urls which serve the same files, in the order they are tried. If the url of
+ * an asset starts with one of the bases of its category, the other bases are used
+ * as mirrors when the download fails.
+ */
+const DOWNLOAD_MIRRORS = {
+    assets: ['https://resources.download.minecraft.net/'],
+    libraries: ['https://libraries.minecraft.net/', 'https://repo1.maven.org/maven2/'],
+    files: ['https://piston-data.mojang.com/', 'https://launcher.mojang.com/']
+}
+
+// Attempts per mirror, and the delay before the first retry.
+const DOWNLOAD_ATTEMPTS = 3
+const DOWNLOAD_BACKOFF = 1000
+const DOWNLOAD_BACKOFF_MAX = 15000
+
+// Downloads of files at least this large are resumed when they are retried.
+const RESUME_THRESHOLD = 1024 * 1024
+
+// Hash algorithms assets can declare.
+const HASH_ALGORITHMS = ['sha1', 'sha256', 'sha512', 'md5']
+
+// The OS version rules are matched against, resolved once.
+let osVersion = null
 
 
 
@@ -26,13 +58,20 @@ class Asset {
      * @param {number} size The size in bytes of the asset.
      * @param {string} from The url where the asset can be found.
      * @param {string} to The absolute local file path of the asset.
+     * @param {string} algo Optional. The algorithm of the hash, one of sha1, sha256, sha512 or md5. Defaults to sha1.
      */
-    constructor(id, hash, size, from, to){
+    constructor(id, hash, size, from, to, algo = 'sha1'){
+        if(!HASH_ALGORITHMS.includes(algo)){
+            const err = new Error(`Unsupported hash algorithm ${algo} for ${id}.`)
+            err.code = 'unsupportedAlgorithm'
+            throw err
+        }
         this.id = id
         this.hash = hash
         this.size = size
         this.from = from
         this.to = to
+        this.algo = algo
     }
 }
 
@@ -55,43 +94,258 @@ class Library extends Asset {
         }
     }
 
+    /**
+     * Converts the process.arch architecture names to match mojang's architecture names.
+     */
+    static mojangFriendlyArch(){
+        switch(process.arch){
+            case 'ia32':
+                return 'x86'
+            case 'x64':
+                return 'x86_64'
+            case 'arm':
+                return 'arm32'
+            default:
+                return process.arch
+        }
+    }
+
+    /**
+     * Retrieve the OS version in the format of mojang's rules. On macOS this is
+     * the product version, ex. 10.14.6, rather than the version of the Darwin kernel.
+     *
+     * @returns {string} The version of the OS.
+     */
+    static mojangFriendlyOSVersion(){
+        if(osVersion == null){
+            osVersion = os.release()
+            if(process.platform === 'darwin'){
+                try {
+                    osVersion = child_process.execFileSync('sw_vers', ['-productVersion'], { encoding: 'UTF-8' }).trim()
+                } catch (err) {
+                    // Approximate the product version, Darwin 20 is macOS 11 and Darwin 19 is macOS 10.15.
+                    const [major, minor] = os.release().split('.').map(Number)
+                    osVersion = major >= 20 ? `${major - 9}.${minor}` : `10.${major - 4}.${minor}`
+                }
+            }
+        }
+        return osVersion
+    }
+
+    /**
+     * Check if the current environment matches a single rule of the mojang rule format.
+     * Every condition the rule declares has to match. A rule without conditions always
+     * matches.
+     *
+     * @param {Object} rule The rule to check.
+     * @param {Object.<string, boolean>} features The enabled launcher features.
+     * @returns {boolean} True if the rule matches, otherwise false.
+     */
+    static ruleMatches(rule, features){
+        if(rule.os != null){
+            if(rule.os.name != null && rule.os.name !== Library.mojangFriendlyOS()){
+                return false
+            }
+            if(rule.os.version != null && !new RegExp(rule.os.version).test(Library.mojangFriendlyOSVersion())){
+                return false
+            }
+            if(rule.os.arch != null && rule.os.arch !== Library.mojangFriendlyArch()){
+                return false
+            }
+        }
+        if(rule.features != null){
+            for(const feature of Object.keys(rule.features)){
+                if((features[feature] === true) !== rule.features[feature]){
+                    return false
+                }
+            }
+        }
+        return true
+    }
+
+    /**
+     * Evaluate a list of rules in the mojang rule format. Rules are evaluated in order
+     * and the action of the last matching rule wins. If no rule matches, the result is
+     * disallowed.
+     *
+     * @param {Array.<Object>} rules The rules to evaluate.
+     * @param {Object.<string, boolean>} features Optional. The enabled launcher features.
+     * @returns {boolean} True if the rules allow the current environment, otherwise false.
+     */
+    static evaluateRules(rules, features = {}){
+        let allowed = false
+        for(const rule of rules){
+            if(Library.ruleMatches(rule, features)){
+                allowed = rule.action === 'allow'
+            }
+        }
+        return allowed
+    }
+
     /**
      * Checks whether or not a library is valid for download on a particular OS, following
-     * the rule format specified in the mojang version data index. If the allow property has
-     * an OS specified, then the library can ONLY be downloaded on that OS. If the disallow
-     * property has instead specified an OS, the library can be downloaded on any OS EXCLUDING
-     * the one specified.
+     * the rule format specified in the mojang version data index. The rules are evaluated
+     * with {@link Library.evaluateRules}, a library without rules is always allowed.
+     *
+     * If the library has natives, the natives property must also have an entry for the
+     * current OS.
      *
-     * If the rules are undefined, the natives property will be checked for a matching entry
-     * for the current OS.
+     * This is used for both the download and the classpath of a library, so they
+     * always agree.
      *
      * @param {Array.<Object>} rules The Library's download rules.
      * @param {Object} natives The Library's natives object.
      * @returns {boolean} True if the Library follows the specified rules, otherwise false.
      */
     static validateRules(rules, natives){
-        if(rules == null) {
-            if(natives == null) {
-                return true
-            } else {
-                return natives[Library.mojangFriendlyOS()] != null
-            }
+        if(rules != null && !Library.evaluateRules(rules)){
+            return false
+        }
+        if(natives != null){
+            return natives[Library.mojangFriendlyOS()] != null
         }
+        return true
+    }
+
+    /**
+     * Since 1.19, natives are declared as regular artifacts whose classifier names the
+     * platform, ex. 'org.lwjgl:lwjgl:3.3.1:natives-linux' or 'natives-macos-arm64'.
+     *
+     * @param {Object} lib The library as declared by the version data.
+     * @returns {string} The native classifier of the library, or null if it has none.
+     */
+    static nativeClassifier(lib){
+        const classifier = lib.name.split(':')[3]
+        return classifier != null && classifier.startsWith('natives-') ? classifier : null
+    }
+
+    /**
+     * Check if a native classifier targets the current platform. The OS is usually
+     * checked by the rules of the library as well, but the architecture is only
+     * declared by the classifier. A classifier without an architecture targets x64.
+     *
+     * @param {string} classifier The native classifier, ex. 'natives-linux-arm64'.
+     * @returns {boolean} True if the classifier targets the current platform, otherwise false.
+     */
+    static nativeClassifierMatches(classifier){
+        const [, opSys, arch] = classifier.split('-')
+        const osName = opSys === 'macos' ? 'osx' : opSys
+        if(osName !== Library.mojangFriendlyOS()){
+            return false
+        }
+        switch(process.arch){
+            case 'x64':
+                return arch == null
+            case 'ia32':
+                return arch === 'x86'
+            case 'arm':
+                return arch === 'arm32'
+            default:
+                return arch === process.arch
+        }
+    }
+
+    /**
+     * Check if a library contains natives which have to be extracted, either declared
+     * through the natives map or through a native classifier.
+     *
+     * @param {Object} lib The library as declared by the version data.
+     * @returns {boolean} True if the library contains natives, otherwise false.
+     */
+    static isNative(lib){
+        return lib.natives != null || Library.nativeClassifier(lib) != null
+    }
+
+    /**
+     * Check if a library applies to the current platform. In addition to
+     * {@link Library.validateRules}, native artifacts must target the current
+     * architecture.
+     *
+     * @param {Object} lib The library as declared by the version data.
+     * @returns {boolean} True if the library should be used, otherwise false.
+     */
+    static validateLibrary(lib){
+        if(!Library.validateRules(lib.rules, lib.natives)){
+            return false
+        }
+        const classifier = Library.nativeClassifier(lib)
+        return classifier == null || Library.nativeClassifierMatches(classifier)
+    }
+
+    /**
+     * Resolve the artifact of a library which should be used on the current platform.
+     * For libraries with a natives map, this is the classifier declared for the current OS.
+     *
+     * @param {Object} lib The library as declared by the version data.
+     * @returns {Object} The artifact containing the path, url, sha1 and size, or null if
+     * the library does not declare one.
+     */
+    static resolveArtifact(lib){
+        if(lib.downloads == null){
+            return null
+        }
+        if(lib.natives == null){
+            return lib.downloads.artifact || null
+        }
+        const bits = ['x64', 'arm64'].includes(process.arch) ? '64' : '32'
+        const classifier = lib.natives[Library.mojangFriendlyOS()].replace('${arch}', bits)
+        if(lib.downloads.classifiers == null || lib.downloads.classifiers[classifier] == null){
+            return null
+        }
+        return lib.downloads.classifiers[classifier]
+    }
+
+    /**
+     * Resolve the key which identifies a library independent of its version. This is the
+     * maven group and artifact, followed by the classifier if the library declares one.
+     *
+     * @param {string} name The maven identifier of the library, ex. 'org.lwjgl:lwjgl:3.3.1:natives-linux'.
+     * @returns {string} The version independent key of the library.
+     */
+    static versionIndependentKey(name){
+        const parts = name.split(':')
+        return parts.length > 3 ? `${parts[0]}:${parts[1]}:${parts[3]}` : `${parts[0]}:${parts[1]}`
+    }
 
-        for(let rule of rules){
-            const action = rule.action
-            const osProp = rule.os
-            if(action != null && osProp != null){
-                const osName = osProp.name
-                const osMoj = Library.mojangFriendlyOS()
-                if(action === 'allow'){
-                    return osName === osMoj
-                } else if(action === 'disallow'){
-                    return osName !== osMoj
+    /**
+     * Resolve the repository path of a library from its maven identifier.
+     *
+     * @param {string} name The maven identifier of the library.
+     * @returns {string} The path of the library jar, relative to the repository root.
+     */
+    static mavenPath(name){
+        const [group, artifact, version, classifier] = name.split(':')
+        const file = `${artifact}-${version}${classifier != null ? '-' + classifier : ''}.jar`
+        return [...group.split('.'), artifact, version, file].join('/')
+    }
+
+    /**
+     * Loader versions such as Fabric only declare the maven identifier and repository
+     * of their libraries. Convert such a library to the download format used by mojang,
+     * so it can be validated and added to the classpath like any other library.
+     *
+     * @param {Object} lib The library as declared by the version data.
+     * @returns {Object} The library with its download information.
+     */
+    static normalize(lib){
+        if(lib.downloads != null || lib.natives != null){
+            return lib
+        }
+        const artifactPath = Library.mavenPath(lib.name)
+        let repository = lib.url || 'https://libraries.minecraft.net/'
+        if(!repository.endsWith('/')){
+            repository += '/'
+        }
+        return Object.assign({}, lib, {
+            downloads: {
+                artifact: {
+                    path: artifactPath,
+                    url: repository + artifactPath,
+                    sha1: lib.sha1,
+                    size: lib.size || 0
                 }
             }
-        }
-        return true
+        })
     }
 }
 
@@ -116,6 +370,67 @@ class DLTracker {
 
 }
 
+/**
+ * Class representing a bandwidth limit shared by several downloads. The limit
+ * is enforced with a token bucket, which holds at most one second of bandwidth.
+ */
+class BandwidthLimiter {
+
+    /**
+     * Create a BandwidthLimiter.
+     *
+     * @param {number} bytesPerSecond Optional. The bandwidth limit in bytes per second, 0 for unlimited.
+     */
+    constructor(bytesPerSecond = 0){
+        this.setLimit(bytesPerSecond)
+    }
+
+    /**
+     * Change the bandwidth limit. Downloads which are waiting pick up the new limit.
+     *
+     * @param {number} bytesPerSecond The bandwidth limit in bytes per second, 0 for unlimited.
+     */
+    setLimit(bytesPerSecond){
+        this.rate = Math.max(0, Number(bytesPerSecond) || 0)
+        this.tokens = this.rate
+        this.last = Date.now()
+    }
+
+    /**
+     * Wait until a number of bytes may be transferred. Chunks larger than the
+     * bucket are let through once it is full, the debt delays the next chunks.
+     *
+     * @param {number} size The number of bytes.
+     * @returns {Promise.<void>} An empty promise to indicate the bytes may be transferred.
+     */
+    async consume(size){
+        while(this.rate > 0){
+            const now = Date.now()
+            this.tokens = Math.min(this.rate, this.tokens + (now - this.last) / 1000 * this.rate)
+            this.last = now
+
+            const needed = Math.min(size, this.rate)
+            if(this.tokens >= needed){
+                this.tokens -= size
+                return
+            }
+            await new Promise(resolve => setTimeout(resolve, Math.min(1000, (needed - this.tokens) / this.rate * 1000)))
+        }
+    }
+
+    /**
+     * @returns {stream.Transform} A stream which passes data through at the rate of the limit.
+     */
+    stream(){
+        return new stream.Transform({
+            transform: (chunk, encoding, callback) => {
+                this.consume(chunk.length).then(() => callback(null, chunk), callback)
+            }
+        })
+    }
+
+}
+
 class Util {
 
     /**
@@ -142,9 +457,16 @@ class Util {
 
 class JavaGuard extends EventEmitter {
 
-    constructor(mcVersion){
+    /**
+     * Create a JavaGuard.
+     *
+     * @param {string} mcVersion The Minecraft version Java is validated for.
+     * @param {number|string} javaMajor Optional. The Java major version the Minecraft version requires.
+     */
+    constructor(mcVersion, javaMajor = 8){
         super()
         this.mcVersion = mcVersion
+        this.javaMajor = parseInt(javaMajor)
     }
 
     /**
@@ -180,7 +502,7 @@ class JavaGuard extends EventEmitter {
         const url = `https://api.adoptopenjdk.net/v2/latestAssets/nightly/openjdk${major}?os=${sanitizedOS}&arch=x64&heap_size=normal&openjdk_impl=hotspot&type=jre`
 
         return new Promise(async (resolve, reject) => {
-            let req = await axios.get(url)
+            let req = await HttpClient.get(url)
                 .catch(err => resolve(null));
 
             if (req.data.length > 0) {
@@ -220,7 +542,7 @@ class JavaGuard extends EventEmitter {
         const url = `https://corretto.aws/downloads/latest/amazon-corretto-${major}-x64-${sanitizedOS}-jdk.${ext}`
 
         return new Promise(async (resolve, reject) => {
-            let req = await axios.head(url)
+            let req = await HttpClient.head(url)
                 .catch(err => resolve(null))
 
             if (req.status === 200){
@@ -329,7 +651,8 @@ class JavaGuard extends EventEmitter {
 
     /**
      * Validates the output of a JVM's properties. Currently validates that a JRE is x64
-     * and that the major = 8, update > 52.
+     * and that it satisfies the required major version. Java 8 requires update > 52,
+     * newer requirements accept any release of at least that major version.
      *
      * @param {string} stderr The output to validate.
      *
@@ -361,7 +684,10 @@ class JavaGuard extends EventEmitter {
                 let verString = props[i].split('=')[1].trim()
                 console.log(props[i].trim())
                 const verOb = JavaGuard.parseJavaRuntimeVersion(verString)
-                if (verOb.major === 8 && verOb.update > 52) {
+                const versionValid = this.javaMajor === 8
+                    ? verOb.major === 8 && verOb.update > 52
+                    : verOb.major >= this.javaMajor
+                if (versionValid) {
                     meta.version = verOb
                     ++checksum
                     if(checksum === goal){
@@ -851,6 +1177,14 @@ class AssetGuard extends EventEmitter {
         this.extractQueue = []
         this.commonPath = commonPath
         this.javaexec = javaexec
+        this.validationIndex = new ValidationIndex(commonPath)
+        this.validationMode = 'normal'
+        this.paused = false
+        this.cancelled = false
+        this.offline = false
+        this.limiter = new BandwidthLimiter()
+        this._interrupts = new Set()
+        this._resumeWaiters = []
     }
 
     // Static Utility Functions
@@ -860,14 +1194,20 @@ class AssetGuard extends EventEmitter {
     // #region
 
     /**
-     * Calculates the hash for a file using the specified algorithm.
+     * Feed the contents of a file into a hash. The file is streamed, so large
+     * files are never held in memory.
      *
-     * @param {Buffer} buf The buffer containing file data.
-     * @param {string} algo The hash algorithm.
-     * @returns {string} The calculated hash in hex.
+     * @param {string} filePath The path of the file.
+     * @param {crypto.Hash} hash The hash to update.
+     * @returns {Promise.<crypto.Hash>} Promise which resolves to the updated hash.
      */
-    static _calculateHash(buf, algo){
-        return crypto.createHash(algo).update(buf).digest('hex')
+    static _hashFile(filePath, hash){
+        return new Promise((resolve, reject) => {
+            fs.createReadStream(filePath)
+                .on('data', chunk => hash.update(chunk))
+                .on('error', reject)
+                .on('end', () => resolve(hash))
+        })
     }
 
     /**
@@ -876,19 +1216,18 @@ class AssetGuard extends EventEmitter {
      * @param {string} filePath The path of the file to validate.
      * @param {string} algo The hash algorithm to check against.
      * @param {string} hash The existing hash to check against.
-     * @returns {boolean} True if the file exists and calculated hash matches the given hash, otherwise false.
+     * @returns {Promise.<boolean>} Promise which resolves to true if the file exists and calculated hash matches the given hash, otherwise false.
      */
-    static _validateLocal(filePath, algo, hash){
-        if(fs.existsSync(filePath)){
-            //No hash provided, have to assume it's good.
-            if(hash == null){
-                return true
-            }
-            let buf = fs.readFileSync(filePath)
-            let calcdhash = AssetGuard._calculateHash(buf, algo)
-            return calcdhash === hash.toLowerCase()
+    static async _validateLocal(filePath, algo, hash){
+        if(!await fs.pathExists(filePath)){
+            return false
         }
-        return false
+        //No hash provided, have to assume it's good.
+        if(hash == null){
+            return true
+        }
+        const calcdhash = (await AssetGuard._hashFile(filePath, crypto.createHash(algo))).digest('hex')
+        return calcdhash === hash.toLowerCase()
     }
 
     // #endregion
@@ -937,6 +1276,99 @@ class AssetGuard extends EventEmitter {
     // Validation Functions
     // #region
 
+    /**
+     * Check if a local file is valid, according to the validation mode.
+     *
+     * In quick mode only the size of the file is checked. In normal mode files
+     * recorded in the validation index are trusted as long as their size and
+     * modification time have not changed, other files are hashed. In full mode
+     * every file is hashed.
+     *
+     * @param {string} filePath The path of the file to validate.
+     * @param {string} algo The hash algorithm to check against.
+     * @param {string} hash The existing hash to check against.
+     * @param {number} size Optional. The expected size of the file.
+     * @returns {Promise.<boolean>} Promise which resolves to true if the file is valid, otherwise false.
+     */
+    async _checkLocal(filePath, algo, hash, size = null){
+        let stat
+        try {
+            stat = await fs.stat(filePath)
+        } catch (err) {
+            return false
+        }
+        //No hash provided, have to assume it's good.
+        if(hash == null){
+            return true
+        }
+        if(this.validationMode === 'quick' && size != null){
+            return stat.size === Number(size)
+        }
+        if(this.validationMode !== 'full' && this.validationIndex.isVerified(filePath, stat, algo, hash)){
+            return true
+        }
+
+        const valid = await AssetGuard._validateLocal(filePath, algo, hash)
+        if(valid){
+            this.validationIndex.record(filePath, stat, algo, hash)
+        } else {
+            this.validationIndex.remove(filePath)
+        }
+        return valid
+    }
+
+    /**
+     * Download a metadata file, such as version data or an asset index. The cached
+     * file is only replaced once the download is complete and valid JSON. If the
+     * download fails and the file has been downloaded before, the cached copy is
+     * used. A network error switches the guard to offline mode, after which cached
+     * copies are used without trying to download them again.
+     *
+     * @param {string} url The url of the metadata file.
+     * @param {string} file The path the metadata file is cached at.
+     * @returns {Promise.<Object>} Promise which resolves to the parsed metadata.
+     */
+    async _loadMetadata(url, file){
+        const cached = await fs.pathExists(file)
+        if(this.offline && cached){
+            return JSON.parse(await fs.readFile(file, 'UTF-8'))
+        }
+
+        try {
+            const resp = await HttpClient.get(url, { responseType: 'arraybuffer', timeout: 15000 })
+            const data = JSON.parse(resp.data.toString('UTF-8'))
+            await fs.ensureDir(path.dirname(file))
+            await fs.writeFile(file + '.part', resp.data)
+            await fs.move(file + '.part', file, { overwrite: true })
+            return data
+        } catch (err) {
+            if(err.response == null && !(err instanceof SyntaxError)){
+                this._setOffline()
+            }
+            if(!cached){
+                if(this.offline){
+                    const offlineErr = new Error(`${path.basename(file)} has not been downloaded yet and the network is unavailable.`)
+                    offlineErr.code = 'offline'
+                    throw offlineErr
+                }
+                throw err
+            }
+            console.warn(`Unable to download ${url}, using the cached copy.`, err.message)
+            return JSON.parse(await fs.readFile(file, 'UTF-8'))
+        }
+    }
+
+    /**
+     * Switch to offline mode.
+     */
+    _setOffline(){
+        if(!this.offline){
+            console.log('The network is unavailable, switching to offline mode.')
+            this.offline = true
+            this.emit('state', 'offline')
+        }
+    }
+
     /**
      * Loads the version data for a given minecraft version.
      *
@@ -944,33 +1376,100 @@ class AssetGuard extends EventEmitter {
      * @param {boolean} force Optional. If true, the version index will be downloaded even if it exists locally. Defaults to false.
      * @returns {Promise.<Object>} Promise which resolves to the version data object.
      */
-    loadVersionData(version, force = false){
-        const self = this
-        return new Promise(async (resolve, reject) => {
-            const versionPath = path.join(self.commonPath, 'versions', version)
-            const versionFile = path.join(versionPath, version + '.json')
-            if(!fs.existsSync(versionFile) || force){
-                const url = "https://libraries.crystaldev.co/CrystalClient.json"
-                console.log('Preparing download of ' + version + ' assets.')
-                fs.ensureDirSync(versionPath)
-
-                axios({
-                    method: 'GET',
-                    url,
-                    responseType: 'stream'
-                })
-                    .then(resp => {
-                        const stream = resp.data.pipe(fs.createWriteStream(versionFile))
-                        stream.on('finish', () => {
-                            resolve(JSON.parse(fs.readFileSync(versionFile).toString()))
+    async loadVersionData(version, force = false){
+        const versionFile = path.join(this.commonPath, 'versions', version, version + '.json')
+        if(!await fs.pathExists(versionFile) || force){
+            const entry = await VersionManifest.getVersion(version)
+            if(entry == null || entry.url == null){
+                if(await fs.pathExists(versionFile)){
+                    return JSON.parse(await fs.readFile(versionFile, 'UTF-8'))
+                }
+                throw new Error(`Unknown version ${version}`)
+            }
+            console.log('Preparing download of ' + version + ' assets.')
+            return await this._loadMetadata(entry.url, versionFile)
+        }
+        return JSON.parse(await fs.readFile(versionFile, 'UTF-8'))
+    }
 
-                            console.log(fs.readFileSync(versionFile).toString())
-                        })
-                    })
-            } else {
-                resolve(JSON.parse(fs.readFileSync(versionFile).toString()))
+    /**
+     * Loads the version data for a given version and resolves its inheritance. Loader
+     * versions such as Forge, Fabric and OptiFine inherit from a vanilla version. Their
+     * parent chain is loaded and merged into a single version data object, which is
+     * cached as '{version}-merged.json'. The cached result is used if a parent cannot
+     * be loaded.
+     *
+     * @param {string} version The game version for which to load the version data.
+     * @param {boolean} force Optional. If true, the version index will be downloaded even if it exists locally. Defaults to false.
+     * @returns {Promise.<Object>} Promise which resolves to the self-contained version data object.
+     */
+    async resolveVersionData(version, force = false){
+        const versionData = await this.loadVersionData(version, force)
+        if(versionData.inheritsFrom == null){
+            return versionData
+        }
+
+        const mergedFile = path.join(this.commonPath, 'versions', version, version + '-merged.json')
+        try {
+            const chain = [versionData]
+            let parentId = versionData.inheritsFrom
+            while(parentId != null){
+                if(chain.some(v => v.id === parentId)){
+                    throw new Error(`Version ${version} inherits from itself through ${parentId}.`)
+                }
+                const parent = await this.loadVersionData(parentId)
+                chain.push(parent)
+                parentId = parent.inheritsFrom
             }
-        })
+
+            let merged = chain.pop()
+            while(chain.length > 0){
+                merged = AssetGuard._mergeVersionData(merged, chain.pop())
+            }
+            await fs.writeFile(mergedFile, JSON.stringify(merged), 'UTF-8')
+            return merged
+        } catch (err) {
+            if(await fs.pathExists(mergedFile)){
+                console.log('Unable to resolve the inheritance of ' + version + ', using the cached version data.', err)
+                return JSON.parse(await fs.readFile(mergedFile, 'UTF-8'))
+            }
+            throw err
+        }
+    }
+
+    /**
+     * Merge the version data of a version into the version data of its parent.
+     * Values declared by the child take precedence. Libraries of the child replace
+     * parent libraries with the same version independent key, and are placed first
+     * on the classpath. Arguments are appended to those of the parent.
+     *
+     * @param {Object} parent The version data of the parent.
+     * @param {Object} child The version data of the child.
+     * @returns {Object} The merged version data.
+     */
+    static _mergeVersionData(parent, child){
+        const merged = Object.assign({}, parent, child)
+        delete merged.inheritsFrom
+
+        // The client jar is the one of the version the chain starts at.
+        merged.jar = child.jar || parent.jar || parent.id
+        merged.downloads = Object.assign({}, parent.downloads, child.downloads)
+
+        const childLibs = (child.libraries || []).map(Library.normalize)
+        const childKeys = new Set(childLibs.map(lib => Library.versionIndependentKey(lib.name)))
+        merged.libraries = childLibs.concat((parent.libraries || []).map(Library.normalize)
+            .filter(lib => !childKeys.has(Library.versionIndependentKey(lib.name))))
+
+        if(parent.arguments != null || child.arguments != null){
+            const parentArgs = parent.arguments || {}
+            const childArgs = child.arguments || {}
+            merged.arguments = {
+                game: (parentArgs.game || []).concat(childArgs.game || []),
+                jvm: (parentArgs.jvm || []).concat(childArgs.jvm || [])
+            }
+        }
+
+        return merged
     }
 // Asset (Category=''') Validation Functions
     // #region
@@ -986,12 +1485,7 @@ class AssetGuard extends EventEmitter {
      * @returns {Promise.<void>} An empty promise to indicate the async processing has completed.
      */
     validateAssets(versionData, force = false){
-        const self = this
-        return new Promise((resolve, reject) => {
-            self._assetChainIndexData(versionData, force).then(() => {
-                resolve()
-            })
-        })
+        return this._assetChainIndexData(versionData, force)
     }
 
     //Chain the asset tasks to provide full async. The below functions are private.
@@ -1002,41 +1496,20 @@ class AssetGuard extends EventEmitter {
      * @param {boolean} force
      * @returns {Promise.<void>} An empty promise to indicate the async processing has completed.
      */
-    _assetChainIndexData(versionData, force = false){
-        const self = this
-        return new Promise((resolve, reject) => {
-            //Asset index constants.
-            const assetIndex = versionData.assetIndex
-            const name = assetIndex.id + '.json'
-            const indexPath = path.join(self.commonPath, 'assets', 'indexes')
-            const assetIndexLoc = path.join(indexPath, name)
-
-            let data = null
-            if(!fs.existsSync(assetIndexLoc) || force){
-                console.log('Downloading ' + versionData.id + ' asset index.')
-                fs.ensureDirSync(indexPath)
-
-                axios({
-                    method: 'GET',
-                    url: assetIndex.url,
-                    responseType: 'stream'
-                })
-                    .then(resp => {
-                        const stream = resp.data.pipe(fs.createWriteStream(assetIndexLoc))
-                        stream.on('finish', () => {
-                            data = JSON.parse(fs.readFileSync(assetIndexLoc, 'utf-8'))
-                            self._assetChainValidateAssets(versionData, data).then(() => {
-                                resolve()
-                            })
-                        })
-                    })
-            } else {
-                data = JSON.parse(fs.readFileSync(assetIndexLoc, 'utf-8'))
-                self._assetChainValidateAssets(versionData, data).then(() => {
-                    resolve()
-                })
-            }
-        })
+    async _assetChainIndexData(versionData, force = false){
+        //Asset index constants.
+        const assetIndex = versionData.assetIndex
+        const name = assetIndex.id + '.json'
+        const assetIndexLoc = path.join(this.commonPath, 'assets', 'indexes', name)
+
+        let data = null
+        if(!await fs.pathExists(assetIndexLoc) || force){
+            console.log('Downloading ' + versionData.id + ' asset index.')
+            data = await this._loadMetadata(assetIndex.url, assetIndexLoc)
+        } else {
+            data = JSON.parse(await fs.readFile(assetIndexLoc, 'UTF-8'))
+        }
+        await this._assetChainValidateAssets(versionData, data)
     }
 
     /**
@@ -1060,18 +1533,17 @@ class AssetGuard extends EventEmitter {
             let acc = 0
             const total = Object.keys(indexData.objects).length
             //const objKeys = Object.keys(data.objects)
-            async.forEachOfLimit(indexData.objects, 10, (value, key, cb) => {
+            async.forEachOfLimit(indexData.objects, 10, async (value, key) => {
                 acc++
                 self.emit('progress', 'assets', acc, total)
                 const hash = value.hash
                 const assetName = path.join(hash.substring(0, 2), hash)
                 const urlName = hash.substring(0, 2) + '/' + hash
                 const ast = new Asset(key, hash, value.size, resourceURL + urlName, path.join(objectPath, assetName))
-                if(!AssetGuard._validateLocal(ast.to, 'sha1', ast.hash)){
+                if(!await self._checkLocal(ast.to, ast.algo, ast.hash, ast.size)){
                     dlSize += ast.size
                     assetDlQueue.push(ast)
                 }
-                cb()
             }, (err) => {
                 self.assets = new DLTracker(assetDlQueue, dlSize)
                 resolve()
@@ -1079,6 +1551,88 @@ class AssetGuard extends EventEmitter {
         })
     }
 
+    /**
+     * Load the asset index of a version from the common directory.
+     *
+     * @param {string} commonPath The common directory.
+     * @param {Object} versionData The version data.
+     * @returns {Object} The asset index, or null if it has not been downloaded.
+     */
+    static loadAssetIndex(commonPath, versionData){
+        if(versionData.assetIndex == null){
+            return null
+        }
+        const assetIndexLoc = path.join(commonPath, 'assets', 'indexes', versionData.assetIndex.id + '.json')
+        if(!fs.existsSync(assetIndexLoc)){
+            return null
+        }
+        return JSON.parse(fs.readFileSync(assetIndexLoc, 'utf-8'))
+    }
+
+    /**
+     * Resolve the directory in which a version expects its assets by their name
+     * rather than their hash. Asset indexes of versions before 1.6 are mapped to
+     * the resources folder of the game directory, legacy indexes are virtual and
+     * stored under assets/virtual/<index id>. Newer versions use the object store
+     * directly.
+     *
+     * @param {string} commonPath The common directory.
+     * @param {string} gameDir The game directory.
+     * @param {Object} versionData The version data.
+     * @param {Object} indexData The asset index.
+     * @returns {string} The directory of the game assets.
+     */
+    static resolveGameAssetsDirectory(commonPath, gameDir, versionData, indexData){
+        if(indexData != null && indexData.map_to_resources){
+            return path.join(gameDir, 'resources')
+        }
+        if(indexData != null && indexData.virtual){
+            return path.join(commonPath, 'assets', 'virtual', versionData.assetIndex.id)
+        }
+        return path.join(commonPath, 'assets')
+    }
+
+    /**
+     * Copy the assets of a version with a virtual or resource mapped asset index
+     * to the location the game expects them in. Files are hard linked to the
+     * object store when the filesystem allows it, otherwise they are copied.
+     * This has to run after the assets have been downloaded.
+     *
+     * @param {Object} versionData The version data.
+     * @param {string} gameDir The game directory the version is launched in.
+     * @returns {Promise.<void>} An empty promise to indicate the async processing has completed.
+     */
+    async validateAssetLayout(versionData, gameDir){
+        const indexData = AssetGuard.loadAssetIndex(this.commonPath, versionData)
+        if(indexData == null || !(indexData.virtual || indexData.map_to_resources)){
+            return
+        }
+        if(indexData.map_to_resources && gameDir == null){
+            console.warn(`No game directory given, cannot map the assets of ${versionData.id} to its resources.`)
+            return
+        }
+
+        const objectPath = path.join(this.commonPath, 'assets', 'objects')
+        const targetDir = AssetGuard.resolveGameAssetsDirectory(this.commonPath, gameDir, versionData, indexData)
+        console.log(`Mapping the assets of ${versionData.id} to ${targetDir}.`)
+        for(const key of Object.keys(indexData.objects)){
+            const hash = indexData.objects[key].hash
+            const from = path.join(objectPath, hash.substring(0, 2), hash)
+            const to = path.join(targetDir, key)
+            if(await this._checkLocal(to, 'sha1', hash, indexData.objects[key].size)){
+                continue
+            }
+            await fs.ensureDir(path.dirname(to))
+            await fs.remove(to)
+            try {
+                await fs.link(from, to)
+            } catch (err) {
+                // Hard links do not work across devices and on some filesystems.
+                await fs.copy(from, to)
+            }
+        }
+    }
+
     // #endregion
 
     // Library (Category=''') Validation Functions
@@ -1104,16 +1658,19 @@ class AssetGuard extends EventEmitter {
             let dlSize = 0
 
             //Check validity of each library. If the hashs don't match, download the library.
-            async.eachLimit(libArr, 5, (lib, cb) => {
-                if(Library.validateRules(lib.rules, lib.natives)){
-                    let artifact = (lib.natives == null) ? lib.downloads.artifact : lib.downloads.classifiers[lib.natives[Library.mojangFriendlyOS()].replace('${arch}', process.arch.replace('x', ''))]
+            async.eachLimit(libArr, 5, async (lib) => {
+                if(Library.validateLibrary(lib)){
+                    const artifact = Library.resolveArtifact(lib)
+                    if(artifact == null){
+                        console.warn(`Library ${lib.name} does not declare an artifact for this platform, skipping.`)
+                        return
+                    }
                     const libItm = new Library(lib.name, artifact.sha1, artifact.size, artifact.url, path.join(libPath, artifact.path))
-                    if(!AssetGuard._validateLocal(libItm.to, 'sha1', libItm.hash)){
+                    if(!await self._checkLocal(libItm.to, libItm.algo, libItm.hash, libItm.size)){
                         dlSize += (libItm.size*1)
                         libDlQueue.push(libItm)
                     }
                 }
-                cb()
             }, (err) => {
                 self.libraries = new DLTracker(libDlQueue, dlSize)
                 resolve()
@@ -1151,15 +1708,15 @@ class AssetGuard extends EventEmitter {
      */
     validateClient(versionData, force = false){
         const self = this
-        return new Promise((resolve, reject) => {
+        return new Promise(async (resolve, reject) => {
             const clientData = versionData.downloads.client
-            const version = versionData.id
+            const version = versionData.jar || versionData.id
             const targetPath = path.join(self.commonPath, 'versions', version)
             const targetFile = version + '.jar'
 
             let client = new Asset(version + ' client', clientData.sha1, clientData.size, clientData.url, path.join(targetPath, targetFile))
 
-            if(!AssetGuard._validateLocal(client.to, 'sha1', client.hash) || force){
+            if(force || !await self._checkLocal(client.to, client.algo, client.hash, client.size)){
                 self.files.dlqueue.push(client)
                 self.files.dlsize += client.size*1
                 resolve()
@@ -1178,14 +1735,19 @@ class AssetGuard extends EventEmitter {
      */
     validateLogConfig(versionData){
         const self = this
-        return new Promise((resolve, reject) => {
+        return new Promise(async (resolve, reject) => {
+            // Versions older than 1.7 do not declare a log config.
+            if(versionData.logging == null){
+                resolve()
+                return
+            }
             const client = versionData.logging.client
             const file = client.file
             const targetPath = path.join(self.commonPath, 'assets', 'log_configs')
 
             let logConfig = new Asset(file.id, file.sha1, file.size, file.url, path.join(targetPath, file.id))
 
-            if(!AssetGuard._validateLocal(logConfig.to, 'sha1', logConfig.hash)){
+            if(!await self._checkLocal(logConfig.to, logConfig.algo, logConfig.hash, logConfig.size)){
                 self.files.dlqueue.push(logConfig)
                 self.files.dlsize += logConfig.size*1
                 resolve()
@@ -1200,9 +1762,16 @@ class AssetGuard extends EventEmitter {
     // Java (Category=''') Validation (download) Functions
     // #region
 
-    _enqueueOpenJDK(dataDir){
+    /**
+     * Enqueue the latest JRE of a Java major version for download under the 'java' identifier.
+     *
+     * @param {string} dataDir The base launcher directory.
+     * @param {string} major Optional. The Java major version to download.
+     * @returns {Promise.<boolean>} Promise which resolves to true if the JRE was enqueued, otherwise false.
+     */
+    _enqueueOpenJDK(dataDir, major = '8'){
         return new Promise((resolve, reject) => {
-            JavaGuard._latestOpenJDK('8').then(verData => {
+            JavaGuard._latestOpenJDK(String(major)).then(verData => {
                 if(verData != null){
 
                     dataDir = path.join(dataDir, 'runtime', 'x64')
@@ -1270,111 +1839,368 @@ class AssetGuard extends EventEmitter {
     // #region
 
     /**
-     * Initiate an async download process for an AssetGuard DLTracker.
+     * Limit the bandwidth of the downloads. The limit is shared by all concurrent
+     * downloads and applies to running downloads immediately.
      *
-     * @param {string} identifier The identifier of the AssetGuard DLTracker.
-     * @param {number} limit Optional. The number of async processes to run in parallel.
-     * @returns {boolean} True if the process began, otherwise false.
+     * @param {number} bytesPerSecond The bandwidth limit in bytes per second, 0 for unlimited.
      */
-    async startAsyncProcess(identifier, limit = 5) {
+    setBandwidthLimit(bytesPerSecond){
+        this.limiter.setLimit(bytesPerSecond)
+        console.log(bytesPerSecond > 0 ? `Limiting downloads to ${bytesPerSecond} bytes per second.` : 'Downloads are not limited.')
+    }
 
-        const self = this
-        const dlTracker = this[identifier]
-        const dlQueue = dlTracker.dlqueue
+    /**
+     * Pause the downloads. Running downloads are interrupted, their partial files
+     * are kept so they continue from the bytes already on disk once resumed.
+     * Downloads which have not started yet wait until the downloads are resumed.
+     */
+    pause(){
+        if(this.paused || this.cancelled){
+            return
+        }
+        this.paused = true
+        this._interruptDownloads()
+        this.emit('state', 'paused')
+    }
 
-        if(dlQueue.length > 0) {
-            console.log('DLQueue', dlQueue)
+    /**
+     * Resume paused downloads.
+     */
+    resume(){
+        if(!this.paused || this.cancelled){
+            return
+        }
+        this.paused = false
+        this._releaseWaiters()
+        this.emit('state', 'running')
+    }
 
-            let err;
+    /**
+     * Cancel the downloads. Running downloads are interrupted and their partial
+     * files are deleted, downloads which have not started yet are dropped.
+     */
+    cancel(){
+        if(this.cancelled){
+            return
+        }
+        this.cancelled = true
+        this.paused = false
+        this._interruptDownloads()
+        this._releaseWaiters()
+        this.emit('state', 'cancelling')
+    }
 
-            for (const asset of dlQueue) {
-                await new Promise(async (resolve, reject) => {
-                    try {
-                        fs.ensureDirSync(path.join(asset.to, '..'))
+    /**
+     * Interrupt the running downloads and the delays between their attempts.
+     */
+    _interruptDownloads(){
+        for(const interrupt of Array.from(this._interrupts)){
+            interrupt()
+        }
+    }
 
-                        let req = await axios.get(asset.from, {
-                            responseType: 'stream',
-                            timeout: 15000
-                        })
-                            .catch(err => {
-                                self.emit('error', 'download', err)
-                            })
+    /**
+     * Wake up the downloads which are waiting to be resumed.
+     */
+    _releaseWaiters(){
+        const waiters = this._resumeWaiters
+        this._resumeWaiters = []
+        for(const resolve of waiters){
+            resolve()
+        }
+    }
 
-                        req.data.on('data', chunk => {
-                            self.progress += chunk.length
-                            self.emit('progress', 'download', self.progress, self.totaldlsize)
-                        })
+    /**
+     * Wait until the downloads are not paused.
+     *
+     * @returns {Promise.<boolean>} Promise which resolves to false if the downloads were cancelled, otherwise true.
+     */
+    async _waitUntilRunning(){
+        while(this.paused){
+            await new Promise(resolve => this._resumeWaiters.push(resolve))
+        }
+        return !this.cancelled
+    }
 
-                        if (req.status === 200) {
-                            let doHashCheck = false
-                            const contentLength = parseInt(req.headers['content-length'])
+    /**
+     * Wait for a delay. The delay ends early if the downloads are paused or cancelled.
+     *
+     * @param {number} ms The delay in milliseconds.
+     * @returns {Promise.<void>} An empty promise to indicate the delay has ended.
+     */
+    _delay(ms){
+        return new Promise(resolve => {
+            const interrupt = () => {
+                clearTimeout(timeout)
+                this._interrupts.delete(interrupt)
+                resolve()
+            }
+            const timeout = setTimeout(interrupt, ms)
+            this._interrupts.add(interrupt)
+        })
+    }
 
-                            if (contentLength !== asset.size) {
-                                console.log(`WARN: Got ${contentLength} bytes for ${asset.id}: Expected ${asset.size}`)
-                                doHashCheck = true
+    /**
+     * @returns {Error} The error of a cancelled download.
+     */
+    static _cancelledError(){
+        const err = new Error('The download was cancelled.')
+        err.code = 'downloadCancelled'
+        return err
+    }
 
-                                // Adjust download
-                                this.totaldlsize -= asset.size
-                                this.totaldlsize += contentLength
-                            }
+    /**
+     * Resolve the urls an asset can be downloaded from, the url of the asset first.
+     *
+     * @param {string} identifier The identifier of the queue the asset belongs to.
+     * @param {string} url The url of the asset.
+     * @returns {Array.<string>} The urls to try, in order.
+     */
+    static _resolveMirrors(identifier, url){
+        const bases = DOWNLOAD_MIRRORS[identifier] || []
+        const base = bases.find(b => url.startsWith(b))
+        if(base == null){
+            return [url]
+        }
+        const file = url.substring(base.length)
+        return [url, ...bases.filter(b => b !== base).map(b => b + file)]
+    }
 
-                            let writeStream = fs.createWriteStream(asset.to)
-                            writeStream.on('close', () => {
-                                if (dlTracker.callback != null) {
-                                    dlTracker.callback.apply(dlTracker, [asset, self])
-                                }
+    /**
+     * Check if a failed download may succeed when it is retried from the same url.
+     * Network errors and server errors are retried, other responses such as a 404
+     * move on to the next mirror.
+     *
+     * @param {Error} err The error of the download.
+     * @returns {boolean} True if the download should be retried, otherwise false.
+     */
+    static _isRetryable(err){
+        if(err.response == null){
+            return true
+        }
+        const status = err.response.status
+        return status >= 500 || [408, 416, 429].includes(status)
+    }
 
-                                if (doHashCheck) {
-                                    if (AssetGuard._validateLocal(asset.to, asset.type != null ? 'md5' : 'sha1', asset.hash)) {
-                                        console.log(`Hashes match for ${asset.id}, byte mismatch is an issue in the distro index.`)
-                                    } else {
-                                        console.error(`Hashes do not match, ${asset.id} may be corrupted.`)
-                                    }
-                                }
+    /**
+     * Calculate the delay before a retry. The delay doubles with each attempt,
+     * a random jitter keeps parallel downloads from retrying at the same time.
+     *
+     * @param {number} attempt The number of the retry, starting at 1.
+     * @returns {number} The delay in milliseconds.
+     */
+    static _backoff(attempt){
+        const delay = Math.min(DOWNLOAD_BACKOFF_MAX, DOWNLOAD_BACKOFF * Math.pow(2, attempt - 1))
+        return delay / 2 + Math.random() * delay / 2
+    }
 
-                                resolve();
-                            })
+    /**
+     * Download a single asset. Each mirror is tried in order, with several attempts per
+     * mirror. Large files are resumed with a range request when they are retried.
+     * The file is hashed while it is written to a temporary file, which is only moved
+     * into place if the hash matches. A mismatching download is deleted and retried.
+     * Download progress is added to the aggregate progress as it is received, and
+     * removed again if the download fails. A download interrupted by a pause waits
+     * until it is resumed and continues from the bytes already on disk.
+     *
+     * @param {Asset} asset The asset to download.
+     * @param {DLTracker} dlTracker The DLTracker the asset was queued in.
+     * @param {string} identifier The identifier of the queue the asset belongs to.
+     * @returns {Promise.<void>} Promise which resolves once the asset has been written to disk.
+     */
+    async _downloadAsset(asset, dlTracker, identifier){
+        await fs.ensureDir(path.dirname(asset.to))
+        const partPath = asset.to + '.part'
+        // A partial download of an earlier run may be of a different file.
+        await fs.remove(partPath)
+
+        // Bytes of this asset which have been added to the aggregate progress.
+        let received = 0
+        let size = asset.size
+        let lastErr = null
+        let interrupted = false
+
+        for(const url of AssetGuard._resolveMirrors(identifier, asset.from)){
+            for(let attempt=0; attempt<DOWNLOAD_ATTEMPTS; attempt++){
+                if(attempt > 0 && !interrupted){
+                    await this._delay(AssetGuard._backoff(attempt))
+                }
+                if(!await this._waitUntilRunning()){
+                    break
+                }
 
-                            req.data.pipe(writeStream)
-                        }
-                        else {
-                            console.log(`Failed to download ${asset.id}(${typeof asset.from === 'object' ? asset.from.url : asset.from}). Response code ${resp.statusCode}`)
-                            self.progress += asset.size
-                            self.emit('progress', 'download', self.progress, self.totaldlsize)
-                            reject()
-                        }
+                let offset = 0
+                if((asset.size >= RESUME_THRESHOLD || interrupted) && await fs.pathExists(partPath)){
+                    offset = (await fs.stat(partPath)).size
+                }
+                // Progress of a partial download which is not resumed is received again.
+                this.progress -= received - offset
+                received = offset
+                interrupted = false
+
+                const source = HttpClient.CancelToken.source()
+                let res = null
+                const interrupt = () => {
+                    source.cancel('Download interrupted.')
+                    if(res != null){
+                        res.data.destroy(new Error('Download interrupted.'))
                     }
-                    catch (ex) {
-                        err = ex
-                        reject()
+                }
+                this._interrupts.add(interrupt)
+
+                try {
+                    res = await HttpClient.get(url, {
+                        responseType: 'stream',
+                        timeout: 15000,
+                        cancelToken: source.token,
+                        headers: offset > 0 ? { Range: `bytes=${offset}-` } : {}
+                    })
+
+                    // The server may ignore the range and send the whole file.
+                    const append = offset > 0 && res.status === 206
+                    if(!append && offset > 0){
+                        this.progress -= offset
+                        received = 0
                     }
-                })
-            }
 
-            if (err) {
-                console.log('An item in ' + identifier + ' failed to process')
-            } else {
-                console.log('All ' + identifier + ' have been processed successfully')
-            }
+                    const contentLength = parseInt(res.headers['content-length'])
+                    const expected = append ? offset + contentLength : contentLength
+                    if(!isNaN(contentLength) && size != null && expected !== size){
+                        console.log(`WARN: Got ${expected} bytes for ${asset.id}: Expected ${size}`)
 
-            self[identifier] = new DLTracker([], 0)
+                        // Adjust download
+                        this.totaldlsize += expected - size
+                        size = expected
+                    }
+
+                    // A resumed download continues the hash of the bytes already on disk.
+                    let hash = null
+                    if(asset.hash != null){
+                        hash = crypto.createHash(asset.algo)
+                        if(append){
+                            await AssetGuard._hashFile(partPath, hash)
+                        }
+                    }
 
-            if (self.progress >= self.totaldlsize) {
-                if (self.extractQueue.length > 0) {
-                    self.emit('progress', 'extract', 1, 1)
-                    AssetGuard._extractPackXZ(self.extractQueue, self.javaexec).then(() => {
-                        self.extractQueue = []
-                        self.emit('complete', 'download')
+                    res.data.on('data', chunk => {
+                        received += chunk.length
+                        this.progress += chunk.length
+                        if(hash != null){
+                            hash.update(chunk)
+                        }
+                        this.emit('progress', 'download', this.progress, this.totaldlsize)
                     })
-                } else {
-                    self.emit('complete', 'download')
+                    await pipeline(res.data, this.limiter.stream(), fs.createWriteStream(partPath, { flags: append ? 'a' : 'w' }))
+
+                    if(hash != null){
+                        const calcdhash = hash.digest('hex')
+                        if(calcdhash !== asset.hash.toLowerCase()){
+                            await fs.remove(partPath)
+                            const err = new Error(`Hash mismatch for ${asset.id}: expected ${asset.hash}, got ${calcdhash}.`)
+                            err.code = 'hashMismatch'
+                            throw err
+                        }
+                    }
+                    await fs.move(partPath, asset.to, { overwrite: true })
+                    if(hash != null){
+                        this.validationIndex.record(asset.to, await fs.stat(asset.to), asset.algo, asset.hash)
+                    }
+
+                    if(dlTracker.callback != null){
+                        dlTracker.callback.apply(dlTracker, [asset, this])
+                    }
+                    return
+                } catch (err) {
+                    if(this.paused || this.cancelled){
+                        // Interrupted by a pause, the attempt does not count.
+                        interrupted = true
+                        attempt--
+                        continue
+                    }
+                    lastErr = err
+                    if(err.response != null && err.response.status === 416){
+                        // The partial download is not valid for this file, start over.
+                        await fs.remove(partPath)
+                    }
+                    console.warn(`Attempt ${attempt + 1} to download ${asset.id} from ${url} failed:`, err.message)
+                    if(!AssetGuard._isRetryable(err)){
+                        break
+                    }
+                } finally {
+                    this._interrupts.delete(interrupt)
                 }
             }
+            if(this.cancelled){
+                break
+            }
+        }
 
-            return true
-        } else {
-            return false
+        if(this.cancelled){
+            lastErr = AssetGuard._cancelledError()
         }
+
+        // The asset will not be downloaded, remove it from the aggregate progress.
+        await fs.remove(partPath)
+        this.progress -= received
+        this.totaldlsize -= size
+        this.emit('progress', 'download', this.progress, this.totaldlsize)
+        throw lastErr
+    }
+
+    /**
+     * Download the assets of several queues with a shared pool of workers. The pool
+     * runs as many downloads in parallel as the largest limit allows, while no queue
+     * runs more downloads than its own limit. A failed download does not stop the others.
+     * Once the downloads are cancelled, no further downloads are started.
+     *
+     * @param {Array.<{identifier: string, dlTracker: DLTracker, asset: Asset}>} tasks The downloads to run.
+     * @param {Object.<string, number>} limits The parallel download limit of each identifier.
+     * @returns {Promise.<Array.<{identifier: string, asset: Asset, error: Error}>>} Promise which
+     * resolves to the downloads which failed.
+     */
+    _runDownloadPool(tasks, limits){
+        const pending = tasks.slice()
+        const failed = []
+        const active = {}
+        for(const identifier of Object.keys(limits)){
+            active[identifier] = 0
+        }
+        const concurrency = Math.max(1, ...Object.values(limits))
+        let running = 0
+
+        return new Promise((resolve, reject) => {
+            const next = () => {
+                if(this.cancelled){
+                    pending.length = 0
+                }
+                if(pending.length === 0 && running === 0){
+                    resolve(failed)
+                    return
+                }
+                while(running < concurrency){
+                    const index = pending.findIndex(t => active[t.identifier] < limits[t.identifier])
+                    if(index === -1){
+                        break
+                    }
+                    const task = pending.splice(index, 1)[0]
+                    running++
+                    active[task.identifier]++
+                    this._downloadAsset(task.asset, task.dlTracker, task.identifier)
+                        .catch(error => {
+                            if(error.code !== 'downloadCancelled'){
+                                console.error(`Failed to download ${task.asset.id} from ${task.asset.from}:`, error.message)
+                            }
+                            failed.push({ identifier: task.identifier, asset: task.asset, error })
+                        })
+                        .then(() => {
+                            running--
+                            active[task.identifier]--
+                            next()
+                        })
+                }
+            }
+            next()
+        })
     }
 
     /**
@@ -1386,58 +2212,115 @@ class AssetGuard extends EventEmitter {
      * global object instance.
      *
      * @param {Array.<{id: string, limit: number}>} identifiers Optional. The identifiers to process and corresponding parallel async task limit.
+     * @returns {Promise.<Array.<{identifier: string, asset: Asset, error: Error}>>} Promise which
+     * resolves to the downloads which failed.
      */
     async processDlQueues(identifiers = [{id:'assets', limit:10}, {id:'libraries', limit:10}, {id:'files', limit:10}, {id:'forge', limit:5}]){
-        return new Promise(async (resolve, reject) => {
-            let shouldFire = true
-
-            // Assign dltracking variables.
-            this.totaldlsize = 0
-            this.progress = 0
+        // Assign dltracking variables.
+        this.totaldlsize = 0
+        this.progress = 0
 
-            for(let iden of identifiers){
-                this.totaldlsize += this[iden.id].dlsize
+        const tasks = []
+        const limits = {}
+        for(const iden of identifiers){
+            const dlTracker = this[iden.id]
+            this.totaldlsize += dlTracker.dlsize
+            limits[iden.id] = iden.limit
+            for(const asset of dlTracker.dlqueue){
+                tasks.push({ identifier: iden.id, dlTracker, asset })
             }
+            this[iden.id] = new DLTracker([], 0)
+        }
 
-            this.once('complete', (data) => {
-                resolve()
-            })
-
-            for (let iden of identifiers){
-                let r = await this.startAsyncProcess(iden.id)
-                if(r) shouldFire = false
+        const failed = await this._runDownloadPool(tasks, limits)
+        if(this.cancelled){
+            console.log('Downloads have been cancelled.')
+            throw AssetGuard._cancelledError()
+        }
+        if(tasks.length > 0){
+            if(failed.length > 0){
+                console.log(`${failed.length} of ${tasks.length} downloads failed.`)
+            } else {
+                console.log(`All ${tasks.length} downloads have been processed successfully.`)
             }
+        }
 
-            if(shouldFire){
-                this.emit('complete', 'download')
-            }
-        })
+        if(this.extractQueue.length > 0){
+            this.emit('progress', 'extract', 1, 1)
+            await AssetGuard._extractPackXZ(this.extractQueue, this.javaexec)
+            this.extractQueue = []
+        }
+        this.emit('complete', 'download')
+
+        return failed
     }
 
-    async validateEverything(){
+    /**
+     * Validate the version data, assets, libraries and miscellaneous files of a version
+     * and download everything that is missing.
+     *
+     * @param {string} version The id of the version to validate.
+     * @param {string} gameDir Optional. The game directory the version is launched in.
+     * @returns {Promise.<Object>} Promise which resolves to an object containing the version data.
+     */
+    async validateEverything(version, gameDir = null){
 
         try {
             if (!ConfigManager.isLoaded())
                 ConfigManager.load()
 
+            this.validationMode = ConfigManager.getValidationMode()
+            await this.validationIndex.load()
+
             // Validate Everything
 
-            const versionData = await this.loadVersionData('1.8.9', true)
+            // Crystal builds are updated in place, so their version data is always refreshed.
+            const entry = await VersionManifest.getVersion(version)
+            const versionData = await this.resolveVersionData(version, entry != null && entry.type === 'crystal')
             this.emit('validate', 'version')
             await this.validateAssets(versionData)
             this.emit('validate', 'assets')
+            // Validation takes a while, stop early if the downloads were cancelled meanwhile.
+            if(this.cancelled){
+                throw AssetGuard._cancelledError()
+            }
             await this.validateLibraries(versionData)
             this.emit('validate', 'libraries')
             await this.validateMiscellaneous(versionData)
             this.emit('validate', 'files')
-            await this.processDlQueues()
+
+            const queued = ['assets', 'libraries', 'files', 'forge'].reduce((acc, id) => acc.concat(this[id].dlqueue), [])
+            if(this.offline){
+                // Downloads would only fail, the game can be launched if everything is present.
+                if(queued.length > 0){
+                    const err = new Error(`${queued.length} files are missing and the network is unavailable.`)
+                    err.code = 'offline'
+                    err.failed = queued.map(asset => asset.id)
+                    throw err
+                }
+                console.log('All files are present, skipping the download phase.')
+            } else if(queued.length > 0){
+                const failed = await this.processDlQueues()
+                await this.validationIndex.save()
+                if(failed.length > 0){
+                    const err = new Error(`${failed.length} files could not be downloaded.`)
+                    err.code = 'downloadFailed'
+                    err.failed = failed.map(f => f.asset.id)
+                    throw err
+                }
+            }
+            await this.validateAssetLayout(versionData, gameDir)
+            await this.validationIndex.save()
             this.emit('complete', 'download')
 
             return {
-                versionData
+                versionData,
+                offline: this.offline
             }
         }
         catch (err){
+            // Files verified before the error remain verified.
+            await this.validationIndex.save()
             return {
                 versionData: null,
                 error: err
@@ -0,0 +1,182 @@
+/**
+ * Abstracts login procedures. Results from the Microsoft authentication
+ * flow are stored as accounts in the ConfigManager.
+ */
+// Requirements
+const crypto        = require('crypto')
+
+const ConfigManager = require('./configmanager')
+const Microsoft     = require('./microsoft')
+const logger        = require('./loggerutil')('%c[AuthManager]', 'color: #a02d2a; font-weight: bold')
+
+// Tokens expiring within this window are treated as expired, so a session
+// does not run out between validation and the game connecting to a server.
+const EXPIRY_MARGIN = 5 * 60 * 1000
+
+// Functions
+
+/**
+ * Add a Microsoft account. The authorization code returned by the sign-in page is
+ * exchanged for the Microsoft, Xbox Live and Minecraft tokens. If successful, the
+ * resulting profile is saved to the ConfigManager and selected.
+ *
+ * @param {string} authCode The authorization code returned by the sign-in page.
+ * @returns {Promise.<Object>} Promise which resolves to the resolved authenticated account object.
+ */
+exports.addMicrosoftAccount = async function(authCode){
+    const msToken = await Microsoft.exchangeAuthCode(authCode)
+    const session = await Microsoft.authenticate(msToken)
+
+    const ret = ConfigManager.addMicrosoftAuthAccount(
+        session.profile.id,
+        session.minecraft.accessToken,
+        session.profile.name,
+        session.minecraft.expiresAt,
+        session.microsoft.accessToken,
+        session.microsoft.refreshToken,
+        session.microsoft.expiresAt
+    )
+    ConfigManager.save()
+
+    logger.log('Added Microsoft account', session.profile.name)
+    return ret
+}
+
+/**
+ * Derive the UUID the game assigns to a player in offline mode. This mirrors
+ * Java's UUID.nameUUIDFromBytes, a name based UUIDv3 of "OfflinePlayer:<name>".
+ *
+ * @param {string} name The username.
+ * @returns {string} The UUID without dashes.
+ */
+exports.offlineUUID = function(name){
+    const hash = crypto.createHash('md5').update(`OfflinePlayer:${name}`, 'utf8').digest()
+    hash[6] = (hash[6] & 0x0f) | 0x30
+    hash[8] = (hash[8] & 0x3f) | 0x80
+    return hash.toString('hex')
+}
+
+/**
+ * Add an offline account. Offline accounts can only be added when they are
+ * enabled in the settings.
+ *
+ * @param {string} username The username of the account.
+ * @returns {Object} The account object.
+ */
+exports.addOfflineAccount = function(username){
+    if(!ConfigManager.getAllowOfflineAccounts()){
+        const err = new Error('Offline accounts are disabled.')
+        err.code = 'offlineDisabled'
+        throw err
+    }
+    username = username.trim()
+    if(!/^[A-Za-z0-9_]{3,16}$/.test(username)){
+        const err = new Error(`Invalid offline username: ${username}`)
+        err.code = 'invalidUsername'
+        throw err
+    }
+
+    const ret = ConfigManager.addOfflineAuthAccount(exports.offlineUUID(username), username)
+    ConfigManager.save()
+    return ret
+}
+
+/**
+ * Remove an account. This will remove the account from the ConfigManager
+ * and save the result. Microsoft does not offer a way to revoke the tokens
+ * of a public client, so they are simply discarded.
+ *
+ * @param {string} uuid The UUID of the account to be removed.
+ * @returns {boolean} True if the account was removed, otherwise false.
+ */
+exports.removeAccount = function(uuid){
+    const removed = ConfigManager.removeAuthAccount(uuid)
+    ConfigManager.save()
+    if(removed){
+        logger.log('Removed account', uuid)
+    }
+    return removed
+}
+
+/**
+ * Select an account to launch the game with. The selection is saved.
+ *
+ * @param {string} uuid The UUID of the account to select.
+ * @returns {Object} The selected account, or undefined if it does not exist.
+ */
+exports.selectAccount = function(uuid){
+    const authAcc = ConfigManager.setSelectedAccount(uuid)
+    ConfigManager.save()
+    return authAcc
+}
+
+/**
+ * Validate the selected Microsoft account. If the Minecraft access token has
+ * expired, the stored refresh token is used to obtain a new one. The updated
+ * tokens are saved to the ConfigManager.
+ *
+ * @returns {Promise.<boolean>} Promise which resolves to true if the account has
+ * a valid session, otherwise false.
+ */
+async function validateSelectedMicrosoftAccount(){
+    const current = ConfigManager.getSelectedAccount()
+    const now = Date.now()
+
+    if(now < current.expiresAt - EXPIRY_MARGIN){
+        return true
+    }
+
+    logger.log('Minecraft access token of', current.displayName, 'has expired, refreshing..')
+    try {
+        let msToken
+        if(now < current.microsoft.expires_at - EXPIRY_MARGIN){
+            msToken = {
+                accessToken: current.microsoft.access_token,
+                refreshToken: current.microsoft.refresh_token,
+                expiresAt: current.microsoft.expires_at
+            }
+        } else {
+            msToken = await Microsoft.refreshMicrosoftToken(current.microsoft.refresh_token)
+            // The token endpoint does not always rotate the refresh token.
+            if(msToken.refreshToken == null){
+                msToken.refreshToken = current.microsoft.refresh_token
+            }
+        }
+
+        const session = await Microsoft.authenticate(msToken)
+        ConfigManager.updateMicrosoftAuthAccount(
+            current.uuid,
+            session.minecraft.accessToken,
+            session.microsoft.accessToken,
+            session.microsoft.refreshToken,
+            session.microsoft.expiresAt,
+            session.minecraft.expiresAt
+        )
+        ConfigManager.save()
+
+        logger.log('Refreshed the session of', current.displayName)
+        return true
+    } catch (err) {
+        logger.error('Error while refreshing the session of', current.displayName, err)
+        return false
+    }
+}
+
+/**
+ * Validate the selected account. Offline accounts are always valid, Microsoft
+ * accounts are refreshed when their access token has expired.
+ *
+ * @returns {Promise.<boolean>} Promise which resolves to true if the selected account
+ * can be used to launch the game, otherwise false.
+ */
+exports.validateSelected = async function(){
+    const current = ConfigManager.getSelectedAccount()
+    if(current == null){
+        return false
+    }
+
+    if(current.type === 'microsoft'){
+        return await validateSelectedMicrosoftAccount()
+    }
+    return true
+}
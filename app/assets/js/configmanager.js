@@ -2,6 +2,7 @@ const fs   = require('fs-extra')
 const os   = require('os')
 const path = require('path')
 
+const SecretStore = require('./secretstore')
 const logger = require('./loggerutil')('%c[ConfigManager]', 'color: #a02d2a; font-weight: bold')
 
 const sysRoot = process.env.APPDATA || (process.platform === 'darwin' ? process.env.HOME + '/Library/Application Support' : process.env.HOME)
@@ -88,24 +89,145 @@ const DEFAULT_CONFIG = {
             fullscreen: false,
             autoConnect: true,
             launchDetached: true,
-            hideLauncher: true
+            hideLauncher: true,
+            tweakClasses: []
         },
         launcher: {
             allowPrerelease: false,
-            dataDirectory: dataPath
+            dataDirectory: dataPath,
+            allowOfflineAccounts: false,
+            showReleases: true,
+            showSnapshots: false,
+            showOldVersions: false,
+            validationMode: 'normal',
+            maxDownloadSpeed: 0,
+            proxyUrl: '',
+            proxyUsername: '',
+            proxyPassword: '',
+            noProxy: '',
+            authEndpoints: {}
         }
-    }
+    },
+    selectedAccount: null,
+    authenticationDatabase: {},
+    selectedInstance: null,
+    instances: {},
+    servers: []
 }
 
+/**
+ * The version new installations start with.
+ */
+const DEFAULT_VERSION = 'crystal-1.8.9'
+
+/**
+ * Paths, relative to each account in the authentication database, of
+ * the values which are encrypted at rest.
+ */
+const SECRET_ACCOUNT_FIELDS = [
+    ['accessToken'],
+    ['microsoft', 'access_token'],
+    ['microsoft', 'refresh_token']
+]
+
+/**
+ * Paths, relative to the configuration, of the settings which are
+ * encrypted at rest.
+ */
+const SECRET_SETTINGS_FIELDS = [
+    ['settings', 'launcher', 'proxyPassword']
+]
+
 let config = null
 
 // Persistance Utility Functions
 
 /**
- * Save the current configuration to a file.
+ * Apply a function to the string value at the given path of an object.
+ * 
+ * @param {Object} obj The object which holds the value.
+ * @param {Array.<string>} field The path of the value.
+ * @param {function(string): string} fn Maps the value to its replacement.
+ */
+function mapField(obj, field, fn){
+    let parent = obj
+    for(let i=0; i<field.length-1 && parent != null; i++){
+        parent = parent[field[i]]
+    }
+    const prop = field[field.length-1]
+    if(parent != null && typeof parent[prop] === 'string'){
+        parent[prop] = fn(parent[prop])
+    }
+}
+
+/**
+ * Apply a function to each secret value of the given configuration.
+ * 
+ * @param {Object} cfg The configuration object.
+ * @param {function(string, Object): string} fn Maps a secret value to its replacement.
+ * The second argument is the account which holds the value, or null for a setting.
+ */
+function mapSecrets(cfg, fn){
+    for(const acc of Object.values(cfg.authenticationDatabase || {})){
+        for(const field of SECRET_ACCOUNT_FIELDS){
+            mapField(acc, field, (value) => fn(value, acc))
+        }
+    }
+    for(const field of SECRET_SETTINGS_FIELDS){
+        mapField(cfg, field, (value) => fn(value, null))
+    }
+}
+
+/**
+ * Decrypt the secret values of a freshly loaded configuration. Forked processes
+ * keep values which they cannot decrypt encrypted, so they are written back
+ * unchanged. Otherwise such values are discarded, ex. because the key was lost,
+ * and the accounts which held them must log in again.
+ * 
+ * @param {Object} cfg The configuration object.
+ * @returns {boolean} True if a plaintext value was found which must be migrated.
+ */
+function decryptSecrets(cfg){
+    const forked = process.env.CONFIG_DIRECT_PATH != null
+    let plaintext = false
+    mapSecrets(cfg, (value, acc) => {
+        if(!SecretStore.isEncrypted(value)){
+            plaintext = true
+            return value
+        }
+        try {
+            if(!SecretStore.isAvailable()){
+                throw new Error('The secrets key is unavailable.')
+            }
+            return SecretStore.decrypt(value)
+        } catch (err){
+            if(forked){
+                return value
+            }
+            logger.error('Unable to decrypt a stored secret, it is discarded.', err)
+            if(acc != null){
+                // Expire the session, so the account is sent to the login view.
+                acc.expiresAt = 0
+                if(acc.microsoft != null){
+                    acc.microsoft.expires_at = 0
+                }
+            }
+            return ''
+        }
+    })
+    return plaintext
+}
+
+/**
+ * Save the current configuration to a file. Secret values are
+ * encrypted before they are written.
  */
 exports.save = function() {
-    fs.writeFileSync(configPath, JSON.stringify(config, null, 4), 'UTF-8')
+    const out = JSON.parse(JSON.stringify(config))
+    if(SecretStore.isAvailable()){
+        mapSecrets(out, (value) => SecretStore.isEncrypted(value) ? value : SecretStore.encrypt(value))
+    }
+    fs.writeFileSync(configPath, JSON.stringify(out, null, 4), 'UTF-8')
 }
 
 /**
@@ -117,6 +239,9 @@ exports.save = function() {
 exports.load = function() {
     let doLoad = true
 
+    // Forked processes cannot protect a new key, they only use an existing one.
+    SecretStore.load(launcherDir, process.env.CONFIG_DIRECT_PATH == null)
+
     if(!fs.existsSync(configPath)){
         // Create all parent directories.
         fs.ensureDirSync(path.join(configPath, '..'))
@@ -125,6 +250,7 @@ exports.load = function() {
         } else {
             doLoad = false
             config = DEFAULT_CONFIG
+            migrateInstances(config, false)
             exports.save()
         }
     }
@@ -139,10 +265,15 @@ exports.load = function() {
             logger.log('Generating a new configuration file.')
             fs.ensureDirSync(path.join(configPath, '..'))
             config = DEFAULT_CONFIG
+            migrateInstances(config, true)
             exports.save()
         }
         if (doValidate) {
             config = validateKeySet(DEFAULT_CONFIG, config)
+            migrateInstances(config, true)
+            if(decryptSecrets(config) && SecretStore.isAvailable()){
+                logger.log('Encrypting plaintext credentials.')
+            }
             exports.save()
         }
     }
@@ -169,7 +300,7 @@ function validateKeySet(srcObj, destObj){
     if(srcObj == null){
         srcObj = {}
     }
-    const validationBlacklist = ['authenticationDatabase']
+    const validationBlacklist = ['authenticationDatabase', 'instances']
     const keys = Object.keys(srcObj)
     for(let i=0; i<keys.length; i++){
         if(typeof destObj[keys[i]] === 'undefined'){
@@ -181,6 +312,37 @@ function validateKeySet(srcObj, destObj){
     return destObj
 }
 
+/**
+ * Make sure the configuration has at least one instance. Configurations
+ * created before instances existed get a default instance which keeps
+ * using the data directory, so existing worlds and options are preserved.
+ * 
+ * @param {Object} cfg The configuration object.
+ * @param {boolean} legacy Whether the game may have been launched from the data directory before.
+ */
+function migrateInstances(cfg, legacy){
+    if(Object.keys(cfg.instances).length === 0){
+        const legacyVersion = cfg.settings.game.version
+        cfg.instances.default = {
+            id: 'default',
+            name: 'Crystal Client',
+            version: legacyVersion || DEFAULT_VERSION,
+            icon: null,
+            gameDirectory: legacy ? exports.getDataDirectory() : path.join(exports.getInstanceDirectory(), 'default'),
+            created: Date.now(),
+            lastPlayed: null,
+            overrides: { java: {}, game: {} }
+        }
+        delete cfg.settings.game.version
+    }
+    for(const instance of Object.values(cfg.instances)){
+        instance.overrides = validateKeySet({ java: {}, game: {} }, instance.overrides || {})
+    }
+    if(cfg.instances[cfg.selectedInstance] == null){
+        cfg.selectedInstance = Object.keys(cfg.instances)[0]
+    }
+}
+
 /**
  * Check to see if this is the first time the user has launched the
  * application. This is determined by the existance of the data path.
@@ -192,8 +354,9 @@ exports.isFirstLaunch = function(){
 }
 
 /**
- * Returns the name of the folder in the OS temp directory which we
- * will use to extract and store native dependencies for game launch.
+ * Returns the name of the folder in the OS temp directory which native
+ * dependencies were extracted to by earlier versions. Natives are cached
+ * in the common directory now, the folder is removed on startup.
  * 
  * @returns {string} The name of the folder.
  */
@@ -214,13 +377,438 @@ exports.getCommonDirectory = function() {
 }
 
 /**
- * Retrieve the instance directory for the per
- * server game directories.
+ * Retrieve the instance directory, which holds the
+ * game directories of the instances.
  * 
  * @returns {string} The launcher's instance directory.
  */
 exports.getInstanceDirectory = function() {
-    return exports.getDataDirectory()
+    return path.join(exports.getCommonDirectory(), 'instances')
+}
+
+// Instance Management Functions
+
+/**
+ * Create a unique instance id from an instance name. Ids are also used
+ * as directory names, so they are restricted to safe characters.
+ * 
+ * @param {string} name The name of the instance.
+ * @returns {string} An id which is not used by any instance or directory.
+ */
+function resolveInstanceId(name){
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'instance'
+    let id = base
+    for(let i=2; config.instances[id] != null || fs.existsSync(path.join(exports.getInstanceDirectory(), id)); i++){
+        id = `${base}-${i}`
+    }
+    return id
+}
+
+/**
+ * Get an instance by its id.
+ * 
+ * @param {string} id The id of the instance.
+ * @returns {Object} The instance with the given id.
+ */
+exports.getInstance = function(id){
+    return config.instances[id]
+}
+
+/**
+ * Get an array of every instance, ordered by the time they were created.
+ * 
+ * @returns {Array.<Object>} An array of each instance.
+ */
+exports.getInstances = function(){
+    return Object.values(config.instances).sort((a, b) => a.created - b.created)
+}
+
+/**
+ * Adds an instance to the configuration. The game directory of the
+ * instance is placed in the instance directory.
+ * 
+ * @param {string} name The name of the instance.
+ * @param {string} version The id of the game version the instance launches.
+ * @param {string} icon Optional. The path or url of the instance icon.
+ * @param {Object} overrides Optional. The settings the instance overrides.
+ * @returns {Object} The instance object created.
+ */
+exports.addInstance = function(name, version, icon = null, overrides = null){
+    const id = resolveInstanceId(name)
+    config.instances[id] = {
+        id,
+        name: name.trim(),
+        version,
+        icon,
+        gameDirectory: path.join(exports.getInstanceDirectory(), id),
+        created: Date.now(),
+        lastPlayed: null,
+        overrides: overrides != null ? JSON.parse(JSON.stringify(overrides)) : { java: {}, game: {} }
+    }
+    return config.instances[id]
+}
+
+/**
+ * Rename an instance. The id and game directory are kept.
+ * 
+ * @param {string} id The id of the instance.
+ * @param {string} name The new name of the instance.
+ * @returns {Object} The instance object.
+ */
+exports.renameInstance = function(id, name){
+    config.instances[id].name = name.trim()
+    return config.instances[id]
+}
+
+/**
+ * Set the game version of an instance.
+ * 
+ * @param {string} id The id of the instance.
+ * @param {string} version The id of the new game version.
+ */
+exports.setInstanceVersion = function(id, version){
+    config.instances[id].version = version
+}
+
+/**
+ * Set the icon of an instance.
+ * 
+ * @param {string} id The id of the instance.
+ * @param {string} icon The path or url of the new icon, or null for the default icon.
+ */
+exports.setInstanceIcon = function(id, icon){
+    config.instances[id].icon = icon
+}
+
+/**
+ * Set the time an instance was last played.
+ * 
+ * @param {string} id The id of the instance.
+ * @param {number} lastPlayed The time in milliseconds since the epoch.
+ */
+exports.setInstanceLastPlayed = function(id, lastPlayed){
+    config.instances[id].lastPlayed = lastPlayed
+}
+
+/**
+ * Remove an instance from the configuration. If the instance was
+ * selected, a new one is selected.
+ * 
+ * @param {string} id The id of the instance to remove.
+ * @returns {boolean} True if the instance was removed, otherwise false.
+ */
+exports.removeInstance = function(id){
+    if(config.instances[id] == null){
+        return false
+    }
+    delete config.instances[id]
+    if(config.selectedInstance === id){
+        const instances = exports.getInstances()
+        config.selectedInstance = instances.length > 0 ? instances[0].id : null
+    }
+    return true
+}
+
+/**
+ * Get the currently selected instance.
+ * 
+ * @returns {Object} The selected instance.
+ */
+exports.getSelectedInstance = function(){
+    return config.instances[config.selectedInstance]
+}
+
+/**
+ * Set the selected instance.
+ * 
+ * @param {string} id The id of the instance to select.
+ * @returns {Object} The selected instance.
+ */
+exports.setSelectedInstance = function(id){
+    const instance = config.instances[id]
+    if(instance != null){
+        config.selectedInstance = id
+    }
+    return instance
+}
+
+// Instance Setting Overrides
+
+/**
+ * Check if a setting can be overridden by an instance. Every java and
+ * game setting can be overridden.
+ * 
+ * @param {string} category The settings category, either 'java' or 'game'.
+ * @param {string} key The key of the setting.
+ * @returns {boolean} Whether or not the setting can be overridden.
+ */
+exports.isOverridable = function(category, key){
+    return (category === 'java' || category === 'game')
+        && Object.prototype.hasOwnProperty.call(DEFAULT_CONFIG.settings[category], key)
+}
+
+/**
+ * Check if an instance overrides a setting.
+ * 
+ * @param {string} id The id of the instance.
+ * @param {string} category The settings category, either 'java' or 'game'.
+ * @param {string} key The key of the setting.
+ * @returns {boolean} Whether or not the instance overrides the setting.
+ */
+exports.isInstanceOverridden = function(id, category, key){
+    return Object.prototype.hasOwnProperty.call(config.instances[id].overrides[category], key)
+}
+
+/**
+ * Retrieve the value of a setting for an instance. If the instance does
+ * not override the setting, the global value is returned.
+ * 
+ * @param {string} id The id of the instance.
+ * @param {string} category The settings category, either 'java' or 'game'.
+ * @param {string} key The key of the setting.
+ * @returns {*} The value of the setting.
+ */
+exports.getInstanceSetting = function(id, category, key){
+    return exports.isInstanceOverridden(id, category, key)
+        ? config.instances[id].overrides[category][key]
+        : config.settings[category][key]
+}
+
+/**
+ * Override a setting for an instance. Numeric settings are parsed the
+ * same way as their global setters do.
+ * 
+ * @param {string} id The id of the instance.
+ * @param {string} category The settings category, either 'java' or 'game'.
+ * @param {string} key The key of the setting.
+ * @param {*} value The new value of the setting.
+ */
+exports.setInstanceOverride = function(id, category, key, value){
+    if(!exports.isOverridable(category, key)){
+        throw new Error(`Setting ${category}.${key} cannot be overridden.`)
+    }
+    if(typeof DEFAULT_CONFIG.settings[category][key] === 'number'){
+        value = Number.parseInt(value)
+    }
+    config.instances[id].overrides[category][key] = value
+}
+
+/**
+ * Remove the override of a setting, so the instance inherits the global value.
+ * 
+ * @param {string} id The id of the instance.
+ * @param {string} category The settings category, either 'java' or 'game'.
+ * @param {string} key The key of the setting.
+ */
+exports.clearInstanceOverride = function(id, category, key){
+    delete config.instances[id].overrides[category][key]
+}
+
+/**
+ * Resolve the java and game settings of an instance. Overridden values
+ * take precedence over the global values.
+ * 
+ * @param {string} id The id of the instance.
+ * @returns {{java: Object, game: Object}} The effective settings of the instance.
+ */
+exports.resolveInstanceSettings = function(id){
+    const overrides = config.instances[id].overrides
+    return JSON.parse(JSON.stringify({
+        java: Object.assign({}, config.settings.java, overrides.java),
+        game: Object.assign({}, config.settings.game, overrides.game)
+    }))
+}
+
+// Server List Functions
+
+/**
+ * Get the servers added by the user, in the order they were added.
+ * 
+ * @returns {Array.<{name: string, address: string}>} An array of the user's servers.
+ */
+exports.getServers = function(){
+    return config.servers
+}
+
+/**
+ * Add a server to the server list. Addresses are unique, adding an address
+ * which is already listed renames the existing server.
+ * 
+ * @param {string} name The display name of the server.
+ * @param {string} address The address of the server, ex. play.example.com:25565.
+ * @returns {{name: string, address: string}} The server object.
+ */
+exports.addServer = function(name, address){
+    let server = config.servers.find(s => s.address === address)
+    if(server == null){
+        server = { name, address }
+        config.servers.push(server)
+    } else {
+        server.name = name
+    }
+    return server
+}
+
+/**
+ * Remove a server from the server list.
+ * 
+ * @param {string} address The address of the server.
+ * @returns {boolean} True if the server was removed, otherwise false.
+ */
+exports.removeServer = function(address){
+    const index = config.servers.findIndex(s => s.address === address)
+    if(index === -1){
+        return false
+    }
+    config.servers.splice(index, 1)
+    return true
+}
+
+// Account Management Functions
+
+/**
+ * Get an authenticated account by its UUID.
+ * 
+ * @param {string} uuid The uuid of the authenticated account.
+ * @returns {Object} The authenticated account with the given uuid.
+ */
+exports.getAuthAccount = function(uuid){
+    return config.authenticationDatabase[uuid]
+}
+
+/**
+ * Adds an authenticated Microsoft account to the database to be stored.
+ * The account is selected once it has been added.
+ * 
+ * @param {string} uuid The uuid of the authenticated account.
+ * @param {string} accessToken The Minecraft access token of the authenticated account.
+ * @param {string} name The in game name of the authenticated account.
+ * @param {number} mcExpires The time at which the Minecraft access token expires.
+ * @param {string} msAccessToken The Microsoft access token of the authenticated account.
+ * @param {string} msRefreshToken The Microsoft refresh token of the authenticated account.
+ * @param {number} msExpires The time at which the Microsoft access token expires.
+ * 
+ * @returns {Object} The authenticated account object created by this action.
+ */
+exports.addMicrosoftAuthAccount = function(uuid, accessToken, name, mcExpires, msAccessToken, msRefreshToken, msExpires){
+    config.selectedAccount = uuid
+    config.authenticationDatabase[uuid] = {
+        type: 'microsoft',
+        accessToken,
+        username: name.trim(),
+        uuid: uuid.trim(),
+        displayName: name.trim(),
+        expiresAt: mcExpires,
+        microsoft: {
+            access_token: msAccessToken,
+            refresh_token: msRefreshToken,
+            expires_at: msExpires
+        }
+    }
+    return config.authenticationDatabase[uuid]
+}
+
+/**
+ * Update the tokens of an authenticated Microsoft account.
+ * 
+ * @param {string} uuid The uuid of the authenticated account.
+ * @param {string} accessToken The new Minecraft access token.
+ * @param {string} msAccessToken The new Microsoft access token.
+ * @param {string} msRefreshToken The new Microsoft refresh token.
+ * @param {number} msExpires The time at which the new Microsoft access token expires.
+ * @param {number} mcExpires The time at which the new Minecraft access token expires.
+ * 
+ * @returns {Object} The authenticated account object updated by this action.
+ */
+exports.updateMicrosoftAuthAccount = function(uuid, accessToken, msAccessToken, msRefreshToken, msExpires, mcExpires){
+    config.authenticationDatabase[uuid].accessToken = accessToken
+    config.authenticationDatabase[uuid].expiresAt = mcExpires
+    config.authenticationDatabase[uuid].microsoft.access_token = msAccessToken
+    config.authenticationDatabase[uuid].microsoft.refresh_token = msRefreshToken
+    config.authenticationDatabase[uuid].microsoft.expires_at = msExpires
+    return config.authenticationDatabase[uuid]
+}
+
+/**
+ * Adds an offline account to the database to be stored. Offline accounts are
+ * not authenticated, they only carry a username and a name based UUID.
+ * The account is selected once it has been added.
+ * 
+ * @param {string} uuid The offline uuid of the account.
+ * @param {string} name The in game name of the account.
+ * 
+ * @returns {Object} The account object created by this action.
+ */
+exports.addOfflineAuthAccount = function(uuid, name){
+    config.selectedAccount = uuid
+    config.authenticationDatabase[uuid] = {
+        type: 'offline',
+        accessToken: '0',
+        username: name.trim(),
+        uuid: uuid.trim(),
+        displayName: name.trim(),
+        expiresAt: null
+    }
+    return config.authenticationDatabase[uuid]
+}
+
+/**
+ * Remove an authenticated account from the database. If the account
+ * was also the selected account, a new one will be selected. If there
+ * are no accounts, the selected account will be null.
+ * 
+ * @param {string} uuid The uuid of the authenticated account.
+ * 
+ * @returns {boolean} True if the account was removed, false if it never existed.
+ */
+exports.removeAuthAccount = function(uuid){
+    if(config.authenticationDatabase[uuid] != null){
+        delete config.authenticationDatabase[uuid]
+        if(config.selectedAccount === uuid){
+            const keys = Object.keys(config.authenticationDatabase)
+            if(keys.length > 0){
+                config.selectedAccount = keys[0]
+            } else {
+                config.selectedAccount = null
+            }
+        }
+        return true
+    }
+    return false
+}
+
+/**
+ * Get the currently selected authenticated account.
+ * 
+ * @returns {Object} The selected authenticated account.
+ */
+exports.getSelectedAccount = function(){
+    return config.selectedAccount == null ? null : config.authenticationDatabase[config.selectedAccount]
+}
+
+/**
+ * Set the selected authenticated account.
+ * 
+ * @param {string} uuid The UUID of the account which is to be set
+ * as the selected account.
+ * 
+ * @returns {Object} The selected authenticated account.
+ */
+exports.setSelectedAccount = function(uuid){
+    const authAcc = config.authenticationDatabase[uuid]
+    if(authAcc != null) {
+        config.selectedAccount = uuid
+    }
+    return authAcc
+}
+
+/**
+ * Get an array of each account currently authenticated by the launcher.
+ * 
+ * @returns {Array.<Object>} An array of each stored authenticated account.
+ */
+exports.getAuthAccounts = function(){
+    return Object.values(config.authenticationDatabase)
 }
 
 // User Configurable Settings
@@ -444,6 +1032,26 @@ exports.setHideLauncher = function(hideLauncher){
     config.settings.game.hideLauncher = hideLauncher
 }
 
+/**
+ * Retrieve the additional launchwrapper tweak classes. These are passed to the
+ * game as --tweakClass arguments, in addition to those declared by the version.
+ * 
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {Array.<string>} An array of the fully qualified tweak class names.
+ */
+exports.getTweakClasses = function(def = false){
+    return !def ? config.settings.game.tweakClasses : DEFAULT_CONFIG.settings.game.tweakClasses
+}
+
+/**
+ * Set the additional launchwrapper tweak classes.
+ * 
+ * @param {Array.<string>} tweakClasses An array of the fully qualified tweak class names.
+ */
+exports.setTweakClasses = function(tweakClasses){
+    config.settings.game.tweakClasses = tweakClasses
+}
+
 // Launcher Settings
 
 /**
@@ -463,4 +1071,260 @@ exports.getAllowPrerelease = function(def = false){
  */
 exports.setAllowPrerelease = function(allowPrerelease){
     config.settings.launcher.allowPrerelease = allowPrerelease
+}
+
+/**
+ * Check if offline accounts may be added and selected. This is intended
+ * for testing against offline-mode servers.
+ * 
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {boolean} Whether or not offline accounts are allowed.
+ */
+exports.getAllowOfflineAccounts = function(def = false){
+    return !def ? config.settings.launcher.allowOfflineAccounts : DEFAULT_CONFIG.settings.launcher.allowOfflineAccounts
+}
+
+/**
+ * Change the status of whether or not offline accounts may be added and selected.
+ * 
+ * @param {boolean} allowOfflineAccounts Whether or not offline accounts are allowed.
+ */
+exports.setAllowOfflineAccounts = function(allowOfflineAccounts){
+    config.settings.launcher.allowOfflineAccounts = allowOfflineAccounts
+}
+
+/**
+ * Check if release versions should be listed in the version picker.
+ * 
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {boolean} Whether or not release versions are listed.
+ */
+exports.getShowReleases = function(def = false){
+    return !def ? config.settings.launcher.showReleases : DEFAULT_CONFIG.settings.launcher.showReleases
+}
+
+/**
+ * Change the status of whether or not release versions should be listed.
+ * 
+ * @param {boolean} showReleases Whether or not release versions are listed.
+ */
+exports.setShowReleases = function(showReleases){
+    config.settings.launcher.showReleases = showReleases
+}
+
+/**
+ * Check if snapshot versions should be listed in the version picker.
+ * 
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {boolean} Whether or not snapshot versions are listed.
+ */
+exports.getShowSnapshots = function(def = false){
+    return !def ? config.settings.launcher.showSnapshots : DEFAULT_CONFIG.settings.launcher.showSnapshots
+}
+
+/**
+ * Change the status of whether or not snapshot versions should be listed.
+ * 
+ * @param {boolean} showSnapshots Whether or not snapshot versions are listed.
+ */
+exports.setShowSnapshots = function(showSnapshots){
+    config.settings.launcher.showSnapshots = showSnapshots
+}
+
+/**
+ * Check if old (alpha and beta) versions should be listed in the version picker.
+ * 
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {boolean} Whether or not old versions are listed.
+ */
+exports.getShowOldVersions = function(def = false){
+    return !def ? config.settings.launcher.showOldVersions : DEFAULT_CONFIG.settings.launcher.showOldVersions
+}
+
+/**
+ * Change the status of whether or not old (alpha and beta) versions should be listed.
+ * 
+ * @param {boolean} showOldVersions Whether or not old versions are listed.
+ */
+exports.setShowOldVersions = function(showOldVersions){
+    config.settings.launcher.showOldVersions = showOldVersions
+}
+
+/**
+ * Retrieve how game files are verified before launching. In quick mode only
+ * the sizes of files are checked, in normal mode files which have not changed
+ * since they were last verified are trusted and in full mode every file is hashed.
+ * 
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {string} The validation mode, quick, normal or full.
+ */
+exports.getValidationMode = function(def = false){
+    return !def ? config.settings.launcher.validationMode : DEFAULT_CONFIG.settings.launcher.validationMode
+}
+
+/**
+ * Change how game files are verified before launching.
+ * 
+ * @param {string} validationMode The new validation mode, quick, normal or full.
+ */
+exports.setValidationMode = function(validationMode){
+    config.settings.launcher.validationMode = validationMode
+}
+
+/**
+ * Retrieve the maximum download speed, shared by all downloads.
+ * 
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {number} The maximum download speed in KiB/s, 0 if downloads are not limited.
+ */
+exports.getMaxDownloadSpeed = function(def = false){
+    return !def ? config.settings.launcher.maxDownloadSpeed : DEFAULT_CONFIG.settings.launcher.maxDownloadSpeed
+}
+
+/**
+ * Set the maximum download speed.
+ * 
+ * @param {number} maxDownloadSpeed The new maximum download speed in KiB/s, 0 to not limit downloads.
+ */
+exports.setMaxDownloadSpeed = function(maxDownloadSpeed){
+    config.settings.launcher.maxDownloadSpeed = Number.parseInt(maxDownloadSpeed)
+}
+
+/**
+ * Validate a potential new maximum download speed.
+ * 
+ * @param {number} maxDownloadSpeed The maximum download speed to validate.
+ * @returns {boolean} Whether or not the value is valid.
+ */
+exports.validateMaxDownloadSpeed = function(maxDownloadSpeed){
+    const nVal = Number.parseInt(maxDownloadSpeed)
+    return Number.isInteger(nVal) && nVal >= 0
+}
+
+/**
+ * Retrieve the url of the proxy requests are sent through. If empty, the
+ * proxy environment variables apply.
+ * 
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {string} The url of the proxy, ex. http://proxy.example.com:8080 or socks5://127.0.0.1:1080.
+ */
+exports.getProxyUrl = function(def = false){
+    return !def ? config.settings.launcher.proxyUrl : DEFAULT_CONFIG.settings.launcher.proxyUrl
+}
+
+/**
+ * Set the url of the proxy requests are sent through. An invalid url is
+ * ignored, the current url is kept.
+ * 
+ * @param {string} proxyUrl The new url of the proxy, empty to use the proxy environment variables.
+ * @returns {boolean} True if the url was set, false if it is invalid.
+ */
+exports.setProxyUrl = function(proxyUrl){
+    if(!exports.validateProxyUrl(proxyUrl)){
+        logger.warn('Ignoring the invalid proxy url', proxyUrl)
+        return false
+    }
+    config.settings.launcher.proxyUrl = proxyUrl.trim()
+    return true
+}
+
+/**
+ * Validate a potential new proxy url.
+ * 
+ * @param {string} proxyUrl The proxy url to validate.
+ * @returns {boolean} Whether or not the value is valid.
+ */
+exports.validateProxyUrl = function(proxyUrl){
+    proxyUrl = proxyUrl.trim()
+    if(proxyUrl.length === 0){
+        return true
+    }
+    try {
+        const url = new URL(/^[a-z0-9+.-]+:\/\//i.test(proxyUrl) ? proxyUrl : 'http://' + proxyUrl)
+        return /^(https?|socks|socks4a?|socks5h?):$/.test(url.protocol) && url.hostname.length > 0
+    } catch (err) {
+        return false
+    }
+}
+
+/**
+ * Retrieve the username to authenticate with the proxy.
+ * 
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {string} The username, empty if the proxy does not require authentication.
+ */
+exports.getProxyUsername = function(def = false){
+    return !def ? config.settings.launcher.proxyUsername : DEFAULT_CONFIG.settings.launcher.proxyUsername
+}
+
+/**
+ * Set the username to authenticate with the proxy.
+ * 
+ * @param {string} proxyUsername The new username.
+ */
+exports.setProxyUsername = function(proxyUsername){
+    config.settings.launcher.proxyUsername = proxyUsername
+}
+
+/**
+ * Retrieve the password to authenticate with the proxy.
+ * 
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {string} The password.
+ */
+exports.getProxyPassword = function(def = false){
+    return !def ? config.settings.launcher.proxyPassword : DEFAULT_CONFIG.settings.launcher.proxyPassword
+}
+
+/**
+ * Set the password to authenticate with the proxy.
+ * 
+ * @param {string} proxyPassword The new password.
+ */
+exports.setProxyPassword = function(proxyPassword){
+    config.settings.launcher.proxyPassword = proxyPassword
+}
+
+/**
+ * Retrieve the hosts which are connected to directly instead of through the proxy.
+ * 
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {string} The hosts, separated by commas.
+ */
+exports.getNoProxy = function(def = false){
+    return !def ? config.settings.launcher.noProxy : DEFAULT_CONFIG.settings.launcher.noProxy
+}
+
+/**
+ * Set the hosts which are connected to directly instead of through the proxy.
+ * 
+ * @param {string} noProxy The new hosts, separated by commas.
+ */
+exports.setNoProxy = function(noProxy){
+    config.settings.launcher.noProxy = noProxy
+}
+
+/**
+ * Retrieve the version type filters for the version picker.
+ * 
+ * @returns {{release: boolean, snapshot: boolean, old: boolean}} The version type filters.
+ */
+exports.getVersionFilters = function(){
+    return {
+        release: config.settings.launcher.showReleases,
+        snapshot: config.settings.launcher.showSnapshots,
+        old: config.settings.launcher.showOldVersions
+    }
+}
+
+/**
+ * Retrieve the overrides for the Microsoft authentication endpoints. Keys
+ * which are not present fall back to the official endpoints. This is only
+ * configurable through the configuration file, so the login flow can be
+ * tested against a local stand-in.
+ * 
+ * @returns {Object} The endpoint overrides.
+ */
+exports.getAuthEndpoints = function(){
+    return config.settings.launcher.authEndpoints
 }
\ No newline at end of file
@@ -0,0 +1,319 @@
+/**
+ * The HTTP client used for every request of the launcher. Requests are sent
+ * through the proxy configured in the launcher settings. If no proxy is
+ * configured, the HTTPS_PROXY, HTTP_PROXY, ALL_PROXY and NO_PROXY environment
+ * variables are honoured. HTTP, HTTPS and SOCKS proxies are supported.
+ */
+// Requirements
+const axios           = require('axios')
+const HttpsProxyAgent = require('https-proxy-agent')
+const net             = require('net')
+const SocksProxyAgent = require('socks-proxy-agent')
+
+const ConfigManager   = require('./configmanager')
+const logger          = require('./loggerutil')('%c[HttpClient]', 'color: #7a5c9e; font-weight: bold')
+const SecretStore     = require('./secretstore')
+
+const DEFAULT_PORTS = {
+    'http:': 80,
+    'https:': 443,
+    'socks:': 1080,
+    'socks4:': 1080,
+    'socks4a:': 1080,
+    'socks5:': 1080,
+    'socks5h:': 1080
+}
+
+// Agents are reused, so connections to the proxy are kept alive.
+const agents = new Map()
+
+// The proxy setting which was parsed last, so it is not parsed on every request.
+let parsedProxy = { value: null, url: null }
+
+// Credentials of the proxy passed on by the launcher. Forked processes cannot
+// decrypt the stored password, they use these instead.
+let proxyCredentials = null
+let warnedEncryptedPassword = false
+
+/**
+ * @typedef ProxySettings
+ * @property {string} url The url of the proxy, ex. http://proxy.example.com:8080 or socks5://127.0.0.1:1080.
+ * @property {string} username The username to authenticate with, if any.
+ * @property {string} password The password to authenticate with, if any.
+ * @property {Array.<string>} noProxy The hosts which are connected to directly.
+ */
+
+// Functions
+
+/**
+ * Read an environment variable, in upper or lower case.
+ *
+ * @param {string} name The name of the variable.
+ * @returns {string} The value of the variable, or null if it is not set.
+ */
+function getEnv(name){
+    return process.env[name] || process.env[name.toLowerCase()] || null
+}
+
+/**
+ * Split a list of hosts, separated by commas or whitespace.
+ *
+ * @param {string} list The list of hosts.
+ * @returns {Array.<string>} The hosts.
+ */
+function splitHosts(list){
+    return (list || '').split(/[\s,]+/).map(h => h.trim().toLowerCase()).filter(h => h.length > 0)
+}
+
+/**
+ * Retrieve the proxy settings. The launcher settings take precedence over
+ * the environment variables, the no proxy lists of both apply.
+ *
+ * @param {string} protocol The protocol of the request, http: or https:.
+ * @returns {ProxySettings} The proxy settings, the url is null if requests are not proxied.
+ */
+exports.getProxySettings = function(protocol = 'https:'){
+    if(!ConfigManager.isLoaded()){
+        ConfigManager.load()
+    }
+    const envUrl = protocol === 'http:'
+        ? getEnv('HTTP_PROXY') || getEnv('ALL_PROXY')
+        : getEnv('HTTPS_PROXY') || getEnv('ALL_PROXY')
+    const url = ConfigManager.getProxyUrl().trim()
+    const credentials = proxyCredentials || {
+        username: ConfigManager.getProxyUsername(),
+        password: ConfigManager.getProxyPassword()
+    }
+    let password = credentials.password
+    if(SecretStore.isEncrypted(password)){
+        // Never send the ciphertext to the proxy.
+        if(!warnedEncryptedPassword){
+            logger.warn('The proxy password could not be decrypted, it is not sent.')
+            warnedEncryptedPassword = true
+        }
+        password = ''
+    }
+    return {
+        url: url.length > 0 ? url : envUrl,
+        username: credentials.username,
+        password,
+        noProxy: splitHosts(ConfigManager.getNoProxy()).concat(splitHosts(getEnv('NO_PROXY')))
+    }
+}
+
+/**
+ * Set the credentials of the proxy, in place of the stored ones.
+ *
+ * @param {string} username The username to authenticate with.
+ * @param {string} password The password to authenticate with.
+ */
+exports.setProxyCredentials = function(username, password){
+    proxyCredentials = { username, password }
+}
+
+/**
+ * Parse the url of a proxy. The scheme defaults to http. An invalid url, ex. a
+ * malformed environment variable, is ignored with a warning so requests are
+ * sent directly instead of failing.
+ *
+ * @param {string} value The url of the proxy.
+ * @returns {URL} The parsed url, or null if it is invalid.
+ */
+function parseProxyUrl(value){
+    if(parsedProxy.value !== value){
+        let url = null
+        try {
+            url = new URL(/^[a-z0-9+.-]+:\/\//i.test(value) ? value : 'http://' + value)
+            if(DEFAULT_PORTS[url.protocol] == null){
+                throw new Error(`Unsupported proxy protocol ${url.protocol}`)
+            }
+        } catch (err) {
+            logger.warn('Ignoring the invalid proxy', value, err.message)
+            url = null
+        }
+        parsedProxy = { value, url }
+    }
+    // Credentials are added to the url, the cached one is not modified.
+    return parsedProxy.url != null ? new URL(parsedProxy.url.href) : null
+}
+
+/**
+ * Check if a host is excluded from proxying. An entry matches the host itself and
+ * its subdomains, ex. example.com and .example.com both match www.example.com.
+ * An entry may be limited to a port, * matches every host.
+ *
+ * @param {string} hostname The host of the request.
+ * @param {number} port The port of the request.
+ * @param {Array.<string>} noProxy The hosts which are connected to directly.
+ * @returns {boolean} True if the host is connected to directly, otherwise false.
+ */
+exports.isNoProxy = function(hostname, port, noProxy){
+    hostname = hostname.toLowerCase().replace(/^\[|\]$/g, '')
+    for(const entry of noProxy){
+        if(entry === '*'){
+            return true
+        }
+        let host = entry
+        let entryPort = null
+        const match = /^(\[[^\]]+\]|[^:]+):(\d+)$/.exec(entry)
+        if(match != null){
+            host = match[1]
+            entryPort = Number(match[2])
+        }
+        host = host.replace(/^\[|\]$/g, '').replace(/^\*?\./, '')
+        if(entryPort != null && entryPort !== port){
+            continue
+        }
+        if(hostname === host || (net.isIP(hostname) === 0 && hostname.endsWith('.' + host))){
+            return true
+        }
+    }
+    return false
+}
+
+/**
+ * Resolve the proxy a request should be sent through.
+ *
+ * @param {string} url The url of the request.
+ * @returns {URL} The url of the proxy including its credentials, or null if the request is not proxied.
+ * The port of the url is empty if the proxy listens on the default port of its protocol.
+ */
+exports.resolveProxy = function(url){
+    const target = new URL(url)
+    const settings = exports.getProxySettings(target.protocol)
+    if(settings.url == null || settings.url.length === 0){
+        return null
+    }
+    const port = target.port.length > 0 ? Number(target.port) : DEFAULT_PORTS[target.protocol]
+    if(exports.isNoProxy(target.hostname, port, settings.noProxy)){
+        return null
+    }
+
+    const proxy = parseProxyUrl(settings.url)
+    if(proxy == null){
+        return null
+    }
+    if(settings.username != null && settings.username.length > 0){
+        proxy.username = settings.username
+        proxy.password = settings.password || ''
+    }
+    return proxy
+}
+
+/**
+ * Retrieve the agent which sends requests through a proxy.
+ *
+ * @param {URL} proxy The url of the proxy.
+ * @returns {http.Agent} The agent.
+ * @throws {Error} An error with the code unsupportedProxy if the agent cannot be created.
+ */
+function getProxyAgent(proxy){
+    const key = proxy.href
+    if(!agents.has(key)){
+        try {
+            if(proxy.protocol.startsWith('socks')){
+                agents.set(key, new SocksProxyAgent(key))
+            } else {
+                agents.set(key, new HttpsProxyAgent(key))
+            }
+        } catch (err) {
+            const proxyErr = new Error(`Unable to use the ${proxy.protocol.slice(0, -1)} proxy ${proxy.host}: ${err.message}`)
+            proxyErr.code = 'unsupportedProxy'
+            throw proxyErr
+        }
+    }
+    return agents.get(key)
+}
+
+/**
+ * Route a request through the proxy, if any. HTTPS requests and requests through a
+ * SOCKS proxy are sent through an agent, plain HTTP requests are forwarded by the proxy.
+ *
+ * @param {Object} config The axios request config.
+ * @returns {Object} The request config.
+ */
+function applyProxy(config){
+    // Proxies are resolved here, axios must not read the environment itself.
+    config.proxy = false
+    const proxy = exports.resolveProxy(config.url)
+    if(proxy == null){
+        return config
+    }
+
+    if(proxy.protocol.startsWith('socks') || config.url.startsWith('https:')){
+        const agent = getProxyAgent(proxy)
+        config.httpAgent = agent
+        config.httpsAgent = agent
+    } else {
+        config.proxy = {
+            protocol: proxy.protocol.slice(0, -1),
+            host: proxy.hostname,
+            port: proxy.port.length > 0 ? Number(proxy.port) : DEFAULT_PORTS[proxy.protocol]
+        }
+        if(proxy.username.length > 0){
+            config.proxy.auth = {
+                username: decodeURIComponent(proxy.username),
+                password: decodeURIComponent(proxy.password)
+            }
+        }
+    }
+    return config
+}
+
+/**
+ * Retrieve the proxy web pages, ex. the Microsoft login, should be loaded through.
+ * Electron does not accept credentials as part of the proxy rules, they are
+ * returned separately to answer the login event of the session.
+ *
+ * @returns {{config: Object, username: string, password: string}} The config for
+ * session.setProxy and the credentials of the proxy, if any.
+ */
+exports.getSessionProxy = function(){
+    const settings = exports.getProxySettings('https:')
+    const proxy = settings.url != null && settings.url.length > 0 ? parseProxyUrl(settings.url) : null
+    if(proxy == null){
+        return { config: { mode: 'system' }, username: null, password: null }
+    }
+
+    // Chromium resolves hosts through a SOCKS5 proxy itself and does not support SOCKS4a.
+    const scheme = proxy.protocol.startsWith('socks4') ? 'socks4'
+        : proxy.protocol.startsWith('socks') ? 'socks5'
+            : proxy.protocol.slice(0, -1)
+    const port = proxy.port.length > 0 ? proxy.port : DEFAULT_PORTS[proxy.protocol]
+    // Entries match subdomains as well, which Chromium only does for a leading dot.
+    const bypass = settings.noProxy.map(entry => {
+        const host = entry.replace(/^\*?\./, '')
+        return host === '*' || net.isIP(host.replace(/:\d+$/, '')) !== 0 ? host : `${host},.${host}`
+    })
+    let username = decodeURIComponent(proxy.username)
+    let password = decodeURIComponent(proxy.password)
+    if(settings.username != null && settings.username.length > 0){
+        username = settings.username
+        password = settings.password || ''
+    }
+    return {
+        config: {
+            mode: 'fixed_servers',
+            proxyRules: `${scheme}://${proxy.hostname}:${port}`,
+            proxyBypassRules: bypass.join(',')
+        },
+        username: username.length > 0 ? username : null,
+        password: username.length > 0 ? password : null
+    }
+}
+
+const client = axios.create()
+client.interceptors.request.use(applyProxy)
+
+/**
+ * The axios instance requests are sent with. Has the same interface as axios.
+ */
+exports.client = client
+
+exports.get = client.get.bind(client)
+exports.head = client.head.bind(client)
+exports.post = client.post.bind(client)
+exports.request = client.request.bind(client)
+
+exports.CancelToken = axios.CancelToken
+exports.isCancel = axios.isCancel
@@ -0,0 +1,154 @@
+/**
+ * Manages instances. Each instance is a named game directory with its own
+ * game version, while assets and libraries stay in the common directory.
+ * Instance data is stored in the ConfigManager, this module keeps the game
+ * directories on disk in sync with it.
+ */
+// Requirements
+const fs            = require('fs-extra')
+const path          = require('path')
+
+const ConfigManager = require('./configmanager')
+const logger        = require('./loggerutil')('%c[InstanceManager]', 'color: #7289da; font-weight: bold')
+
+// Functions
+
+/**
+ * Check if a game directory is managed by the launcher. Only these directories
+ * are deleted with their instance, a default instance may point at an existing
+ * game directory which the launcher does not own.
+ *
+ * @param {string} gameDirectory The game directory of an instance.
+ * @returns {boolean} True if the directory is inside the instance directory.
+ */
+function isManagedDirectory(gameDirectory){
+    const rel = path.relative(ConfigManager.getInstanceDirectory(), gameDirectory)
+    return rel.length > 0 && !rel.startsWith('..') && !path.isAbsolute(rel)
+}
+
+/**
+ * Validate an instance name.
+ *
+ * @param {string} name The name to validate.
+ */
+function validateName(name){
+    if(name == null || name.trim().length === 0){
+        const err = new Error('The instance name must not be empty.')
+        err.code = 'invalidName'
+        throw err
+    }
+}
+
+/**
+ * Create an instance and its game directory. The new instance is selected.
+ *
+ * @param {string} name The name of the instance.
+ * @param {string} version The id of the game version the instance launches.
+ * @param {string} icon Optional. The path or url of the instance icon.
+ * @returns {Object} The instance object.
+ */
+exports.createInstance = function(name, version, icon = null){
+    validateName(name)
+    const instance = ConfigManager.addInstance(name, version, icon)
+    fs.ensureDirSync(instance.gameDirectory)
+    ConfigManager.setSelectedInstance(instance.id)
+    ConfigManager.save()
+
+    logger.log('Created instance', instance.id)
+    return instance
+}
+
+/**
+ * Rename an instance. The game directory is not moved.
+ *
+ * @param {string} id The id of the instance.
+ * @param {string} name The new name of the instance.
+ * @returns {Object} The instance object.
+ */
+exports.renameInstance = function(id, name){
+    validateName(name)
+    const instance = ConfigManager.renameInstance(id, name)
+    ConfigManager.save()
+    return instance
+}
+
+/**
+ * Duplicate an instance, including the contents of its game directory
+ * and its setting overrides. The copy is selected.
+ *
+ * @param {string} id The id of the instance to duplicate.
+ * @param {string} name The name of the copy.
+ * @returns {Promise.<Object>} Promise which resolves to the new instance object.
+ */
+exports.duplicateInstance = async function(id, name){
+    validateName(name)
+    const source = ConfigManager.getInstance(id)
+    const instance = ConfigManager.addInstance(name, source.version, source.icon, source.overrides)
+    try {
+        if(await fs.pathExists(source.gameDirectory)){
+            await fs.copy(source.gameDirectory, instance.gameDirectory)
+        } else {
+            await fs.ensureDir(instance.gameDirectory)
+        }
+    } catch (err) {
+        ConfigManager.removeInstance(instance.id)
+        throw err
+    }
+    ConfigManager.setSelectedInstance(instance.id)
+    ConfigManager.save()
+
+    logger.log('Duplicated instance', id, 'to', instance.id)
+    return instance
+}
+
+/**
+ * Delete an instance. The game directory is deleted as well if it is managed
+ * by the launcher. The last instance cannot be deleted.
+ *
+ * @param {string} id The id of the instance to delete.
+ * @returns {Promise.<boolean>} Promise which resolves to true if the instance was deleted, otherwise false.
+ */
+exports.deleteInstance = async function(id){
+    const instance = ConfigManager.getInstance(id)
+    if(instance == null){
+        return false
+    }
+    if(ConfigManager.getInstances().length === 1){
+        const err = new Error('The last instance cannot be deleted.')
+        err.code = 'lastInstance'
+        throw err
+    }
+
+    ConfigManager.removeInstance(id)
+    ConfigManager.save()
+    if(isManagedDirectory(instance.gameDirectory)){
+        await fs.remove(instance.gameDirectory)
+    } else {
+        logger.log('Keeping unmanaged game directory', instance.gameDirectory)
+    }
+
+    logger.log('Deleted instance', id)
+    return true
+}
+
+/**
+ * Select an instance to launch. The selection is saved.
+ *
+ * @param {string} id The id of the instance to select.
+ * @returns {Object} The selected instance, or undefined if it does not exist.
+ */
+exports.selectInstance = function(id){
+    const instance = ConfigManager.setSelectedInstance(id)
+    ConfigManager.save()
+    return instance
+}
+
+/**
+ * Record that an instance has been launched.
+ *
+ * @param {string} id The id of the instance.
+ */
+exports.markPlayed = function(id){
+    ConfigManager.setInstanceLastPlayed(id, Date.now())
+    ConfigManager.save()
+}
@@ -0,0 +1,305 @@
+// Requirements
+const ConfigManager = require('./configmanager')
+const HttpClient = require('./httpclient')
+const logger = require('./loggerutil')('%c[Microsoft]', 'color: #01a6f0; font-weight: bold')
+
+/**
+ * Default endpoints used during the Microsoft authentication flow. Any of
+ * these can be overridden through the launcher settings, which allows the
+ * flow to be pointed at a local stand-in server.
+ */
+const DEFAULT_ENDPOINTS = {
+    clientId: '00000000402b5328',
+    redirectUri: 'https://login.live.com/oauth20_desktop.srf',
+    authorize: 'https://login.live.com/oauth20_authorize.srf',
+    token: 'https://login.live.com/oauth20_token.srf',
+    xboxLive: 'https://user.auth.xboxlive.com/user/authenticate',
+    xsts: 'https://xsts.auth.xboxlive.com/xsts/authorize',
+    minecraftLogin: 'https://api.minecraftservices.com/authentication/login_with_xbox',
+    minecraftProfile: 'https://api.minecraftservices.com/minecraft/profile'
+}
+
+/**
+ * Known XSTS error codes mapped to their error identifiers.
+ */
+const XSTS_ERRORS = {
+    2148916233: 'noXboxAccount',
+    2148916235: 'xboxBanned',
+    2148916238: 'childAccount'
+}
+
+/**
+ * Create an error for a failed step of the authentication flow.
+ *
+ * @param {string} code The error identifier, matches a key in the login language section.
+ * @param {string} message A description of the failure.
+ * @param {Error} cause Optional. The underlying error.
+ * @returns {Error} The error object.
+ */
+function authError(code, message, cause = null){
+    const err = new Error(message)
+    err.code = code
+    if(cause != null){
+        err.cause = cause
+    }
+    return err
+}
+
+/**
+ * Translate an axios error into an authentication error.
+ *
+ * @param {string} step The step of the flow which failed.
+ * @param {Error} err The axios error.
+ * @returns {Error} The authentication error.
+ */
+function requestError(step, err){
+    if(err.response == null){
+        return authError('noInternet', `${step}: ${err.message}`, err)
+    }
+    if(err.response.status >= 500){
+        return authError('authDown', `${step}: Server responded with ${err.response.status}`, err)
+    }
+    return authError('unknown', `${step}: Server responded with ${err.response.status}`, err)
+}
+
+/**
+ * Retrieve the endpoints to use for the authentication flow.
+ *
+ * @returns {Object} The default endpoints merged with the configured overrides.
+ */
+exports.getEndpoints = function(){
+    return Object.assign({}, DEFAULT_ENDPOINTS, ConfigManager.getAuthEndpoints())
+}
+
+/**
+ * Build the URL of the Microsoft sign-in page.
+ *
+ * @returns {string} The authorization URL.
+ */
+exports.getAuthorizeURL = function(){
+    const endpoints = exports.getEndpoints()
+    const params = new URLSearchParams({
+        client_id: endpoints.clientId,
+        response_type: 'code',
+        redirect_uri: endpoints.redirectUri,
+        scope: 'XboxLive.signin offline_access',
+        prompt: 'select_account'
+    })
+    return `${endpoints.authorize}?${params.toString()}`
+}
+
+/**
+ * @returns {string} The URI the sign-in page redirects to once it has finished.
+ */
+exports.getRedirectURI = function(){
+    return exports.getEndpoints().redirectUri
+}
+
+/**
+ * @typedef MicrosoftToken
+ * @property {string} accessToken The Microsoft access token.
+ * @property {string} refreshToken The Microsoft refresh token.
+ * @property {number} expiresAt The time at which the access token expires, in milliseconds.
+ */
+
+/**
+ * Request a Microsoft token from the token endpoint.
+ *
+ * @param {Object} params The grant specific form parameters.
+ * @returns {Promise.<MicrosoftToken>} Promise which resolves to the Microsoft token.
+ */
+async function requestMicrosoftToken(params){
+    const endpoints = exports.getEndpoints()
+    const body = new URLSearchParams(Object.assign({
+        client_id: endpoints.clientId,
+        redirect_uri: endpoints.redirectUri,
+        scope: 'XboxLive.signin offline_access'
+    }, params))
+
+    let res
+    try {
+        res = await HttpClient.post(endpoints.token, body.toString(), {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        })
+    } catch (err) {
+        if(err.response != null && err.response.data != null && err.response.data.error != null){
+            throw authError('invalidCredentials', `Microsoft token: ${err.response.data.error} ${err.response.data.error_description || ''}`.trim(), err)
+        }
+        throw requestError('Microsoft token', err)
+    }
+
+    return {
+        accessToken: res.data.access_token,
+        refreshToken: res.data.refresh_token,
+        expiresAt: Date.now() + (res.data.expires_in * 1000)
+    }
+}
+
+/**
+ * Exchange the authorization code returned by the sign-in page for a Microsoft token.
+ *
+ * @param {string} authCode The authorization code.
+ * @returns {Promise.<MicrosoftToken>} Promise which resolves to the Microsoft token.
+ */
+exports.exchangeAuthCode = function(authCode){
+    return requestMicrosoftToken({
+        code: authCode,
+        grant_type: 'authorization_code'
+    })
+}
+
+/**
+ * Use a refresh token to obtain a new Microsoft token.
+ *
+ * @param {string} refreshToken The refresh token.
+ * @returns {Promise.<MicrosoftToken>} Promise which resolves to the Microsoft token.
+ */
+exports.refreshMicrosoftToken = function(refreshToken){
+    return requestMicrosoftToken({
+        refresh_token: refreshToken,
+        grant_type: 'refresh_token'
+    })
+}
+
+/**
+ * Authenticate with Xbox Live using a Microsoft access token.
+ *
+ * @param {string} msAccessToken The Microsoft access token.
+ * @returns {Promise.<{token: string, uhs: string}>} Promise which resolves to the Xbox Live token and user hash.
+ */
+exports.authXboxLive = async function(msAccessToken){
+    let res
+    try {
+        res = await HttpClient.post(exports.getEndpoints().xboxLive, {
+            Properties: {
+                AuthMethod: 'RPS',
+                SiteName: 'user.auth.xboxlive.com',
+                RpsTicket: `d=${msAccessToken}`
+            },
+            RelyingParty: 'http://auth.xboxlive.com',
+            TokenType: 'JWT'
+        }, {
+            headers: { Accept: 'application/json' }
+        })
+    } catch (err) {
+        throw requestError('Xbox Live', err)
+    }
+
+    return {
+        token: res.data.Token,
+        uhs: res.data.DisplayClaims.xui[0].uhs
+    }
+}
+
+/**
+ * Obtain an XSTS token for the Minecraft services.
+ *
+ * @param {string} xblToken The Xbox Live token.
+ * @returns {Promise.<{token: string, uhs: string}>} Promise which resolves to the XSTS token and user hash.
+ */
+exports.authXSTS = async function(xblToken){
+    let res
+    try {
+        res = await HttpClient.post(exports.getEndpoints().xsts, {
+            Properties: {
+                SandboxId: 'RETAIL',
+                UserTokens: [xblToken]
+            },
+            RelyingParty: 'rp://api.minecraftservices.com/',
+            TokenType: 'JWT'
+        }, {
+            headers: { Accept: 'application/json' }
+        })
+    } catch (err) {
+        if(err.response != null && err.response.status === 401 && err.response.data != null){
+            const code = XSTS_ERRORS[err.response.data.XErr] || 'unknown'
+            throw authError(code, `XSTS: XErr ${err.response.data.XErr}`, err)
+        }
+        throw requestError('XSTS', err)
+    }
+
+    return {
+        token: res.data.Token,
+        uhs: res.data.DisplayClaims.xui[0].uhs
+    }
+}
+
+/**
+ * Log into the Minecraft services using an XSTS token.
+ *
+ * @param {string} uhs The user hash.
+ * @param {string} xstsToken The XSTS token.
+ * @returns {Promise.<{accessToken: string, expiresAt: number}>} Promise which resolves to the Minecraft access token.
+ */
+exports.authMinecraft = async function(uhs, xstsToken){
+    let res
+    try {
+        res = await HttpClient.post(exports.getEndpoints().minecraftLogin, {
+            identityToken: `XBL3.0 x=${uhs};${xstsToken}`
+        }, {
+            headers: { Accept: 'application/json' }
+        })
+    } catch (err) {
+        throw requestError('Minecraft login', err)
+    }
+
+    return {
+        accessToken: res.data.access_token,
+        expiresAt: Date.now() + (res.data.expires_in * 1000)
+    }
+}
+
+/**
+ * Retrieve the Minecraft profile of the account.
+ *
+ * @param {string} mcAccessToken The Minecraft access token.
+ * @returns {Promise.<{id: string, name: string}>} Promise which resolves to the profile.
+ */
+exports.getMinecraftProfile = async function(mcAccessToken){
+    let res
+    try {
+        res = await HttpClient.get(exports.getEndpoints().minecraftProfile, {
+            headers: { Authorization: `Bearer ${mcAccessToken}` }
+        })
+    } catch (err) {
+        // Accounts which do not own the game have no profile.
+        if(err.response != null && err.response.status === 404){
+            throw authError('notPaid', 'Minecraft profile: The account does not own Minecraft', err)
+        }
+        throw requestError('Minecraft profile', err)
+    }
+
+    return {
+        id: res.data.id,
+        name: res.data.name
+    }
+}
+
+/**
+ * @typedef MicrosoftSession
+ * @property {MicrosoftToken} microsoft The Microsoft token.
+ * @property {{accessToken: string, expiresAt: number}} minecraft The Minecraft access token.
+ * @property {{id: string, name: string}} profile The Minecraft profile.
+ */
+
+/**
+ * Run the Xbox Live and Minecraft steps of the flow for a Microsoft token.
+ *
+ * @param {MicrosoftToken} msToken The Microsoft token.
+ * @returns {Promise.<MicrosoftSession>} Promise which resolves to the session data.
+ */
+exports.authenticate = async function(msToken){
+    logger.log('Authenticating with Xbox Live..')
+    const xbl = await exports.authXboxLive(msToken.accessToken)
+    const xsts = await exports.authXSTS(xbl.token)
+    logger.log('Logging into Minecraft..')
+    const minecraft = await exports.authMinecraft(xsts.uhs, xsts.token)
+    const profile = await exports.getMinecraftProfile(minecraft.accessToken)
+    logger.log('Authenticated as', profile.name)
+
+    return {
+        microsoft: msToken,
+        minecraft,
+        profile
+    }
+}
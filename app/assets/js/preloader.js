@@ -15,11 +15,28 @@ ConfigManager.load()
 // Load Strings
 LangLoader.loadLanguage('en_US')
 
-// Clean up temp dir incase previous launches ended unexpectedly.
-fs.remove(path.join(os.tmpdir(), ConfigManager.getTempNativeFolder()), (err) => {
-    if(err){
-        logger.warn('Error while cleaning natives directory', err)
-    } else {
-        logger.log('Cleaned natives directory.')
+// Clean up natives which were left behind by interrupted extractions. Extracted
+// natives are cached under the SHA-1 of their artifacts and reused by later launches.
+const nativesDir = path.join(ConfigManager.getCommonDirectory(), 'natives')
+const artifactsDir = path.join(nativesDir, 'artifacts')
+Promise.all([nativesDir, artifactsDir].map(dir => fs.readdir(dir).then((entries) => {
+    const orphans = entries.filter(entry => !/^[0-9a-f]{40}$/.test(entry) && path.join(dir, entry) !== artifactsDir)
+    return Promise.all(orphans.map(entry => fs.remove(path.join(dir, entry)))).then(() => orphans.length)
+}).catch((err) => {
+    if(err.code !== 'ENOENT'){
+        throw err
     }
-})
\ No newline at end of file
+    return 0
+}))).then((counts) => {
+    const cleaned = counts[0] + counts[1]
+    if(cleaned > 0){
+        logger.log('Cleaned', cleaned, 'orphaned entries from the natives directory.')
+    }
+}).catch((err) => {
+    logger.warn('Error while cleaning natives directory', err)
+})
+
+// Natives used to be cached in the temporary directory, which the OS may clear.
+fs.remove(path.join(os.tmpdir(), ConfigManager.getTempNativeFolder())).catch((err) => {
+    logger.warn('Error while removing the legacy natives directory', err)
+})
@@ -2,46 +2,59 @@ const AdmZip                = require('adm-zip')
 const child_process         = require('child_process')
 const crypto                = require('crypto')
 const fs                    = require('fs-extra')
-const os                    = require('os')
 const path                  = require('path')
 
-const { Util, Library }  = require('./assetguard')
+const { AssetGuard, Util, Library } = require('./assetguard')
 const ConfigManager            = require('./configmanager')
 const LoggerUtil               = require('./loggerutil')
+const Microsoft                = require('./microsoft')
+const ServerManager            = require('./servermanager')
+const ServerStatus             = require('./serverstatus')
 
 const logger = LoggerUtil('%c[ProcessBuilder]', 'color: #003996; font-weight: bold')
 
 class ProcessBuilder {
 
-    constructor(versionData, mcArgs) {
-        this.gameDir = ConfigManager.getInstanceDirectory()
+    constructor(instance, version, versionData, mcArgs, authUser, server = null) {
+        this.instance = instance
+        this.settings = ConfigManager.resolveInstanceSettings(instance.id)
+        this.gameDir = instance.gameDirectory
         this.commonDir = ConfigManager.getCommonDirectory()
+        this.version = version
         this.versionData = versionData
         this.mcArgs = mcArgs
+        this.authUser = authUser
+        this.server = server
+        this.serverTarget = null
         this.libPath = path.join(this.commonDir, 'libraries')
 
         this.usingLiteLoader = false
         this.llPath = null
+        this.classpath = null
     }
 
     /**
      * Convienence method to run the functions typically used to build a process.
+     * The natives are extracted before the process is spawned.
+     *
+     * @returns {Promise.<ChildProcess>} Promise which resolves to the game process.
      */
-    build() {
+    async build() {
         fs.ensureDirSync(this.gameDir)
-        const tempNativePath = path.join(os.tmpdir(), ConfigManager.getTempNativeFolder(), crypto.pseudoRandomBytes(16).toString('hex'))
+        const nativePath = await this._prepareNatives()
+        await this._resolveServerTarget()
         process.throwDeprecation = true
 
-        let args = this.constructJVMArguments(tempNativePath)
+        let args = this.constructJVMArguments(nativePath)
 
         logger.log('Launch Arguments:', args)
 
-        const child = child_process.spawn(ConfigManager.getJavaExecutable(), args, {
+        const child = child_process.spawn(this.settings.java.executable, args, {
             cwd: this.gameDir,
-            detached: ConfigManager.getLaunchDetached()
+            detached: this.settings.game.launchDetached
         })
 
-        if (ConfigManager.getLaunchDetached()){
+        if (this.settings.game.launchDetached){
             child.unref()
         }
 
@@ -54,13 +67,6 @@ class ProcessBuilder {
         })
         child.on('close', (code, signal) => {
             logger.log('Exited with code', code)
-            fs.remove(tempNativePath, (err) => {
-                if (err) {
-                    logger.warn('Error while deleting temp dir', err)
-                } else {
-                    logger.log('Temp dir deleted successfully.')
-                }
-            })
         })
 
         return child
@@ -68,89 +74,382 @@ class ProcessBuilder {
 
     /**
      * Construct the argument array that will be passed to the JVM process.
+     * Versions since 1.13 declare their arguments in the arguments object,
+     * older versions use the minecraftArguments string.
+     *
+     * @param {string} nativePath The directory containing the extracted native libraries.
+     * @returns {Array.<string>} An array containing the full JVM arguments for this process.
+     */
+    constructJVMArguments(nativePath){
+        if(this.versionData.arguments != null){
+            return this._constructJVMArguments113(nativePath)
+        }
+        return this._constructJVMArguments112(nativePath)
+    }
+
+    /**
+     * Construct the argument array that will be passed to the JVM process.
+     * This function is for versions 1.12 and below.
      *
-     * @param {string} tempNativePath The path to store the native libraries.
+     * @param {string} nativePath The directory containing the extracted native libraries.
      * @returns {Array.<string>} An array containing the full JVM arguments for this process.
      */
-    constructJVMArguments(tempNativePath){
+    _constructJVMArguments112(nativePath){
         let args = []
 
         // Classpath Argument
         args.push('-cp')
-        args.push(this.classpathArg(tempNativePath).join(process.platform === 'win32' ? ';' : ':'))
+        args.push(this._resolveClasspath())
 
         // Java Arguments
+        args = args.concat(this._resolveMemoryArguments())
+        args.push('-Djava.library.path=' + nativePath)
+
+        // Main Java Class
+        args.push(this._resolveMainClass())
+        args = args.concat(this._resolveMcArgs(nativePath))
+
+        return args
+    }
+
+    /**
+     * Construct the argument array that will be passed to the JVM process.
+     * This function is for versions 1.13 and above.
+     *
+     * @param {string} nativePath The directory containing the extracted native libraries.
+     * @returns {Array.<string>} An array containing the full JVM arguments for this process.
+     */
+    _constructJVMArguments113(nativePath){
+        let args = this._resolveMemoryArguments()
+
+        // Version declared JVM arguments, these include the classpath and natives directory.
+        const jvmArgs = this.versionData.arguments.jvm != null
+            ? this.versionData.arguments.jvm
+            : ['-Djava.library.path=${natives_directory}', '-cp', '${classpath}']
+        args = args.concat(this._resolveArguments(jvmArgs, nativePath))
+
+        // Main Java Class
+        args.push(this._resolveMainClass())
+
+        // Version declared game arguments.
+        const gameArgs = this._resolveArguments(this.versionData.arguments.game || [], nativePath)
+        this._processTweakClasses(gameArgs)
+        if(this.settings.game.fullscreen){
+            gameArgs.push('--fullscreen')
+        }
+        if(!this._supportsQuickPlay()){
+            this._processServerArguments(gameArgs)
+        }
+
+        return args.concat(gameArgs)
+    }
+
+    /**
+     * Resolve the memory and user configured JVM arguments.
+     *
+     * @returns {Array.<string>} An array containing the JVM arguments.
+     */
+    _resolveMemoryArguments(){
+        let args = []
         if(process.platform === 'darwin'){
             args.push('-Xdock:name=CrystalClient')
             args.push('-Xdock:icon=' + path.join(__dirname, '..', 'images', 'minecraft.icns'))
         }
-        args.push('-Xmx' + ConfigManager.getMaxRAM())
-        args.push('-Xms' + ConfigManager.getMinRAM())
-        args = args.concat(ConfigManager.getJVMOptions())
-        args.push('-Djava.library.path=' + tempNativePath)
+        args.push('-Xmx' + this.settings.java.maxRAM)
+        args.push('-Xms' + this.settings.java.minRAM)
+        return args.concat(this.settings.java.jvmOptions)
+    }
 
-        // Main Java Class
-        args.push("Start")
-        args = args.concat(this._resolveMcArgs())
+    /**
+     * Resolve the main class declared by the version data. Crystal builds which
+     * predate the mainClass property are launched through their Start class.
+     *
+     * @returns {string} The fully qualified name of the main class.
+     */
+    _resolveMainClass() {
+        return this.versionData.mainClass != null ? this.versionData.mainClass : 'Start'
+    }
 
-        return args
+    /**
+     * Resolve the launcher features which arguments can depend on.
+     *
+     * @returns {Object.<string, boolean>} The state of each feature.
+     */
+    _resolveFeatures() {
+        return {
+            is_demo_user: false,
+            has_custom_resolution: !this.settings.game.fullscreen,
+            is_quick_play_multiplayer: this._resolveServer() != null && this._supportsQuickPlay()
+        }
+    }
+
+    /**
+     * Resolve the server to join once the game has started. A server is only
+     * joined if auto connect is enabled.
+     *
+     * @returns {{host: string, port: number}} The host and port of the server, or null if no server should be joined.
+     */
+    _resolveServer() {
+        if(this.server == null || !this.settings.game.autoConnect){
+            return null
+        }
+        return ServerManager.parseAddress(this.server.address)
+    }
+
+    /**
+     * Resolve the host and port the server and port arguments point to. The game
+     * connects to them directly, so the SRV record of the server is looked up
+     * beforehand. Quick play looks it up itself.
+     *
+     * @returns {Promise.<void>} An empty promise to indicate the server has been resolved.
+     */
+    async _resolveServerTarget() {
+        if(this._resolveServer() != null && !this._supportsQuickPlay()){
+            this.serverTarget = await ServerStatus.resolveAddress(this.server.address)
+        }
+    }
+
+    /**
+     * Check if the version can join a server through quick play. Versions since
+     * 23w14a declare the quickPlayMultiplayer argument, older versions use the
+     * server and port arguments.
+     *
+     * @returns {boolean} True if quick play is supported, otherwise false.
+     */
+    _supportsQuickPlay() {
+        if(this.versionData.arguments == null || this.versionData.arguments.game == null){
+            return false
+        }
+        return this.versionData.arguments.game.some(arg => typeof arg === 'object' && arg.rules != null
+            && arg.rules.some(rule => rule.features != null && rule.features.is_quick_play_multiplayer != null))
     }
 
     /**
-     * Resolve the arguments required by forge.
+     * Add the server and port arguments, if a server should be joined.
      *
-     * @returns {Array.<string>} An array containing the arguments required by forge.
+     * @param {Array.<string>} args The game argument array.
      */
-    _resolveMcArgs() {
-        const mcArgs = this.mcArgs.split(' ')
-        const argDiscovery = /\${*(.*)}/
-
-        // Replace the declared variables with their proper values.
-        for(let i=0; i<mcArgs.length; ++i){
-            if(argDiscovery.test(mcArgs[i])){
-                const identifier = mcArgs[i].match(argDiscovery)[1]
-                let val = null
-                switch (identifier) {
-                    case 'version_name':
-                        val = 'Crystal Client'
-                        break
-                    case 'game_directory':
-                        val = this.gameDir
-                        break
-                    case 'assets_root':
-                        val = path.join(this.commonDir, 'assets')
-                        break
-                    case 'assets_index_name':
-                        val = this.versionData.assets
-                        break
-                    case 'user_properties': // 1.8.9 and below.
-                        val = '{}'
-                        break
-                    case 'version_type':
-                        val = this.versionData.type
-                        break
+    _processServerArguments(args) {
+        const server = this.serverTarget || this._resolveServer()
+        if(server != null){
+            args.push('--server', server.host, '--port', String(server.port))
+        }
+    }
+
+    /**
+     * Resolve the classpath argument, joined with the platform's separator.
+     * The classpath is resolved once, as it may be referenced by several arguments.
+     *
+     * @returns {string} The classpath argument.
+     */
+    _resolveClasspath() {
+        if(this.classpath == null){
+            this.classpath = this.classpathArg().join(path.delimiter)
+        }
+        return this.classpath
+    }
+
+    /**
+     * Resolve the value of an argument placeholder.
+     *
+     * @param {string} identifier The name of the placeholder, ex. auth_player_name.
+     * @param {string} nativePath The directory containing the extracted native libraries.
+     * @returns {string} The value of the placeholder, or null if it is unknown.
+     */
+    _resolveArgumentValue(identifier, nativePath) {
+        switch (identifier) {
+            case 'auth_player_name':
+                return this.authUser.displayName.trim()
+            case 'auth_uuid':
+                return this.authUser.uuid.trim()
+            case 'auth_access_token':
+                return this.authUser.accessToken
+            case 'auth_session': // 1.6 and below.
+                return `token:${this.authUser.accessToken}:${this.authUser.uuid.trim()}`
+            case 'auth_xuid':
+                // The Xbox user id is not stored, the game does not require it.
+                return '0'
+            case 'user_type':
+                if (this.authUser.type === 'microsoft') {
+                    return 'msa'
+                } else if (this.authUser.type === 'offline') {
+                    return 'legacy'
+                }
+                return 'mojang'
+            case 'clientid':
+                return Microsoft.getEndpoints().clientId
+            case 'version_name':
+                return this.version.type === 'crystal' ? 'Crystal Client' : this.versionData.id
+            case 'version_type':
+                return this.versionData.type
+            case 'game_directory':
+                return this.gameDir
+            case 'assets_root':
+                return path.join(this.commonDir, 'assets')
+            case 'assets_index_name':
+                return this.versionData.assets
+            case 'game_assets': // 1.6 and below.
+                return AssetGuard.resolveGameAssetsDirectory(this.commonDir, this.gameDir, this.versionData,
+                    AssetGuard.loadAssetIndex(this.commonDir, this.versionData))
+            case 'user_properties': // 1.8.9 and below.
+                return '{}'
+            case 'resolution_width':
+                return String(this.settings.game.resWidth)
+            case 'resolution_height':
+                return String(this.settings.game.resHeight)
+            case 'natives_directory':
+                return nativePath
+            case 'launcher_name':
+                return 'CrystalClient'
+            case 'launcher_version':
+                return require('@electron/remote').app.getVersion()
+            case 'classpath':
+                return this._resolveClasspath()
+            case 'classpath_separator':
+                return path.delimiter
+            case 'quickPlayMultiplayer': {
+                const server = this._resolveServer()
+                if(server == null){
+                    return null
                 }
-                if(val != null){
-                    mcArgs[i] = val
+                const host = server.host.includes(':') ? `[${server.host}]` : server.host
+                // Without a port the game looks up the SRV record of the host.
+                return server.srv ? host : `${host}:${server.port}`
+            }
+            case 'library_directory':
+                return this.libPath
+        }
+        return null
+    }
+
+    /**
+     * Replace the placeholders of an argument with their values. Unknown
+     * placeholders are left untouched.
+     *
+     * @param {string} arg The argument.
+     * @param {string} nativePath The directory containing the extracted native libraries.
+     * @returns {string} The resolved argument.
+     */
+    _substituteArgument(arg, nativePath) {
+        return arg.replace(/\$\{(\w+)\}/g, (match, identifier) => {
+            const val = this._resolveArgumentValue(identifier, nativePath)
+            return val != null ? val : match
+        })
+    }
+
+    /**
+     * Resolve an argument array of the arguments format used since 1.13. Each
+     * entry is either a plain argument or an object whose value is only used if
+     * its rules allow the current environment and features.
+     *
+     * @param {Array.<string | Object>} argArr The declared arguments.
+     * @param {string} nativePath The directory containing the extracted native libraries.
+     * @returns {Array.<string>} An array containing the resolved arguments.
+     */
+    _resolveArguments(argArr, nativePath) {
+        const features = this._resolveFeatures()
+        let args = []
+        for(const arg of argArr){
+            if(typeof arg === 'string'){
+                args.push(arg)
+            } else if(arg.rules == null || Library.evaluateRules(arg.rules, features)){
+                args = args.concat(arg.value)
+            }
+        }
+        return args.map(arg => this._substituteArgument(arg, nativePath))
+    }
+
+    /**
+     * Resolve the launchwrapper tweak classes of this process. Tweak classes declared
+     * by the version data come first, followed by those configured for the instance.
+     *
+     * @returns {Array.<string>} An array containing each tweak class, without duplicates.
+     */
+    _resolveTweakClasses() {
+        const tweakClasses = []
+        if (this.versionData.minecraftArguments != null) {
+            const versionArgs = this.versionData.minecraftArguments.split(' ')
+            for (let i=0; i<versionArgs.length-1; i++) {
+                if (versionArgs[i] === '--tweakClass') {
+                    tweakClasses.push(versionArgs[++i])
                 }
             }
         }
+        for (const tweakClass of this.settings.game.tweakClasses) {
+            if (!tweakClasses.includes(tweakClass)) {
+                tweakClasses.push(tweakClass)
+            }
+        }
+        return tweakClasses
+    }
+
+    /**
+     * Append the launchwrapper tweak classes which are not yet passed to
+     * the game arguments.
+     *
+     * @param {Array.<string>} mcArgs The game arguments.
+     */
+    _processTweakClasses(mcArgs) {
+        const tweakClasses = this._resolveTweakClasses()
+        if (tweakClasses.length > 0 && this._resolveMainClass() !== 'net.minecraft.launchwrapper.Launch') {
+            logger.warn('Tweak classes are only applied by launchwrapper, the main class is', this._resolveMainClass())
+        }
+        for (const tweakClass of tweakClasses) {
+            if (!this._hasTweakClass(mcArgs, tweakClass)) {
+                mcArgs.push('--tweakClass')
+                mcArgs.push(tweakClass)
+            }
+        }
+    }
+
+    /**
+     * Resolve the game arguments of versions 1.12 and below. The arguments
+     * declared by the version data are used, if the version does not declare
+     * any the arguments supplied to this builder are.
+     *
+     * @param {string} nativePath The directory containing the extracted native libraries.
+     * @returns {Array.<string>} An array containing the game arguments.
+     */
+    _resolveMcArgs(nativePath) {
+        const declared = this.versionData.minecraftArguments != null ? this.versionData.minecraftArguments : this.mcArgs
+        const mcArgs = declared.split(' ').map(arg => this._substituteArgument(arg, nativePath))
+
+        // Launchwrapper tweak classes.
+        this._processTweakClasses(mcArgs)
 
         // Prepare game resolution
-        if (ConfigManager.getFullscreen()) {
+        if (this.settings.game.fullscreen) {
             mcArgs.push('--fullscreen')
             mcArgs.push(true)
         }
         else {
             mcArgs.push('--width')
-            mcArgs.push(ConfigManager.getGameWidth())
+            mcArgs.push(this.settings.game.resWidth)
             mcArgs.push('--height')
-            mcArgs.push(ConfigManager.getGameHeight())
+            mcArgs.push(this.settings.game.resHeight)
         }
 
+        this._processServerArguments(mcArgs)
+
         return mcArgs
     }
 
+    /**
+     * Check if an argument array already passes a tweak class.
+     *
+     * @param {Array.<string>} args The argument array.
+     * @param {string} tweakClass The fully qualified name of the tweak class.
+     * @returns {boolean} True if the tweak class is passed, otherwise false.
+     */
+    _hasTweakClass(args, tweakClass) {
+        for (let i=0; i<args.length-1; i++) {
+            if (args[i] === '--tweakClass' && args[i+1] === tweakClass) {
+                return true
+            }
+        }
+        return false
+    }
+
     /**
      * Ensure that the classpath entries all point to jar files.
      *
@@ -174,14 +473,13 @@ class ProcessBuilder {
      * libraries as well as the libraries declared by the server. Since mods are permitted to declare libraries,
      * this method requires all enabled mods as an input
      *
-     * @param {string} tempNativePath The path to store the native libraries.
      * @returns {Array.<string>} An array containing the paths of each library required by this process.
      */
-    classpathArg(tempNativePath){
+    classpathArg(){
         let cpArgs = []
 
-        // Add the version.jar to the classpath.
-        const version = this.versionData.id
+        // Add the version.jar to the classpath. Inherited versions use the jar of their parent.
+        const version = this.versionData.jar || this.versionData.id
         cpArgs.push(path.join(this.commonDir, 'versions', version, version + '.jar'))
 
         if(this.usingLiteLoader){
@@ -189,7 +487,7 @@ class ProcessBuilder {
         }
 
         // Resolve the Mojang declared libraries.
-        const mojangLibs = this._resolveMojangLibraries(tempNativePath)
+        const mojangLibs = this._resolveMojangLibraries()
 
         // Merge libraries, server libs with the same
         // maven identifier will override the mojang ones.
@@ -203,68 +501,176 @@ class ProcessBuilder {
     }
 
     /**
-     * Resolve the libraries defined by Mojang's version data. This method will also extract
-     * native libraries and point to the correct location for its classpath.
-     *
-     * TODO - clean up function
+     * Resolve the libraries defined by Mojang's version data and point to the correct
+     * location for their classpath. Natives are extracted by {@link ProcessBuilder#_prepareNatives}.
      *
-     * @param {string} tempNativePath The path to store the native libraries.
      * @returns {{[id: string]: string}} An object containing the paths of each library mojang declares.
      */
-    _resolveMojangLibraries(tempNativePath){
+    _resolveMojangLibraries(){
         const libs = {}
 
-        const libArr = this.versionData.libraries
-        fs.ensureDirSync(tempNativePath)
-        for(let i=0; i<libArr.length; i++){
-            const lib = libArr[i]
-            if(Library.validateRules(lib.rules, lib.natives)){
-                if(lib.natives == null){
-                    const dlInfo = lib.downloads
-                    const artifact = dlInfo.artifact
-                    const to = path.join(this.libPath, artifact.path)
-                    const versionIndependentId = lib.name.substring(0, lib.name.lastIndexOf(':'))
-                    libs[versionIndependentId] = to
-                } else {
-                    // Extract the native library.
-                    const exclusionArr = lib.extract != null ? lib.extract.exclude : ['META-INF/']
-                    const artifact = lib.downloads.classifiers[lib.natives[Library.mojangFriendlyOS()].replace('${arch}', process.arch.replace('x', ''))]
-
-                    // Location of native zip.
-                    const to = path.join(this.libPath, artifact.path)
-
-                    let zip = new AdmZip(to)
-                    let zipEntries = zip.getEntries()
-
-                    // Unzip the native zip.
-                    for(let i=0; i<zipEntries.length; i++){
-                        const fileName = zipEntries[i].entryName
-
-                        let shouldExclude = false
-
-                        // Exclude noted files.
-                        exclusionArr.forEach(function(exclusion){
-                            if(fileName.indexOf(exclusion) > -1){
-                                shouldExclude = true
-                            }
-                        })
-
-                        // Extract the file.
-                        if(!shouldExclude){
-                            fs.writeFile(path.join(tempNativePath, fileName), zipEntries[i].getData(), (err) => {
-                                if(err){
-                                    logger.error('Error while extracting native library:', err)
-                                }
-                            })
-                        }
-
-                    }
-                }
+        for(const lib of this.versionData.libraries){
+            // Libraries with a natives map only contain the natives.
+            if(lib.natives != null || !Library.validateLibrary(lib)){
+                continue
+            }
+            const artifact = Library.resolveArtifact(lib)
+            if(artifact == null){
+                logger.warn('Library', lib.name, 'does not declare an artifact for this platform, skipping.')
+                continue
             }
+            // Native artifacts since 1.19 are regular jars, LWJGL can load them from the classpath as well.
+            libs[Library.versionIndependentKey(lib.name)] = path.join(this.libPath, artifact.path)
         }
 
         return libs
     }
+
+    /**
+     * Resolve the native libraries which apply to the current platform.
+     *
+     * @returns {Array.<{lib: Object, artifact: Object}>} The native libraries and their artifacts.
+     */
+    _resolveNativeLibraries(){
+        const natives = []
+        for(const lib of this.versionData.libraries){
+            if(!Library.isNative(lib) || !Library.validateLibrary(lib)){
+                continue
+            }
+            const artifact = Library.resolveArtifact(lib)
+            if(artifact == null){
+                logger.warn('Native library', lib.name, 'does not declare an artifact for this platform, skipping.')
+                continue
+            }
+            natives.push({ lib, artifact })
+        }
+        return natives
+    }
+
+    /**
+     * Extract the native libraries of this version. Each native artifact is extracted
+     * once into the natives cache of the common directory, keyed by its SHA-1. The game
+     * takes a single natives directory, so the extracted artifacts are hard linked into
+     * a directory for the set of natives, which is reused by every launch with the same
+     * natives. A changed native only extracts that artifact again.
+     *
+     * @returns {Promise.<string>} Promise which resolves to the directory containing the natives.
+     */
+    async _prepareNatives(){
+        const natives = this._resolveNativeLibraries()
+        const nativesDir = path.join(this.commonDir, 'natives')
+        const hash = crypto.createHash('sha1')
+        for(const { artifact } of natives){
+            hash.update(`${artifact.sha1.toLowerCase()}\n`)
+        }
+
+        const nativePath = path.join(nativesDir, hash.digest('hex'))
+        if(await fs.pathExists(nativePath)){
+            logger.log('Using cached natives', nativePath)
+            return nativePath
+        }
+
+        const artifactPaths = []
+        for(const { lib, artifact } of natives){
+            const artifactPath = path.join(nativesDir, 'artifacts', artifact.sha1.toLowerCase())
+            await this._stageNativeDirectory(artifactPath, (stagingPath) => {
+                return this._extractNatives(lib, path.join(this.libPath, artifact.path), stagingPath)
+            })
+            artifactPaths.push(artifactPath)
+        }
+        await this._stageNativeDirectory(nativePath, async (stagingPath) => {
+            for(const artifactPath of artifactPaths){
+                await this._linkNatives(artifactPath, stagingPath)
+            }
+        })
+        logger.log('Prepared natives in', nativePath)
+        return nativePath
+    }
+
+    /**
+     * Create a directory of the natives cache, unless it exists. The directory is populated
+     * in a staging directory which is moved into place when complete, so an interrupted
+     * extraction is never used.
+     *
+     * @param {string} dir The directory to create.
+     * @param {function(string): Promise.<void>} populate Populates the staging directory.
+     * @returns {Promise.<void>} An empty promise to indicate the directory exists.
+     */
+    async _stageNativeDirectory(dir, populate){
+        if(await fs.pathExists(dir)){
+            return
+        }
+        const stagingPath = `${dir}.tmp-${crypto.randomBytes(4).toString('hex')}`
+        try {
+            await fs.ensureDir(stagingPath)
+            await populate(stagingPath)
+            await fs.rename(stagingPath, dir)
+        } catch (err) {
+            await fs.remove(stagingPath)
+            // Another launch may have created the same directory in the meantime.
+            if(!await fs.pathExists(dir)){
+                throw err
+            }
+        }
+    }
+
+    /**
+     * Hard link the files of an extracted native artifact into a natives directory.
+     * Files are copied if they cannot be linked, ex. on file systems without hard links.
+     * A file of a later artifact replaces one with the same name.
+     *
+     * @param {string} src The directory of the extracted artifact.
+     * @param {string} dest The natives directory.
+     * @returns {Promise.<void>} An empty promise to indicate the files have been linked.
+     */
+    async _linkNatives(src, dest){
+        for(const entry of await fs.readdir(src, { withFileTypes: true })){
+            const srcPath = path.join(src, entry.name)
+            const destPath = path.join(dest, entry.name)
+            if(entry.isDirectory()){
+                await fs.ensureDir(destPath)
+                await this._linkNatives(srcPath, destPath)
+                continue
+            }
+            await fs.remove(destPath)
+            try {
+                await fs.link(srcPath, destPath)
+            } catch (err) {
+                await fs.copy(srcPath, destPath)
+            }
+        }
+    }
+
+    /**
+     * Extract the natives of a library. Entries are excluded if their path starts with
+     * one of the prefixes in the extract.exclude list of the library. Natives declared
+     * through a native classifier keep their files in platform specific folders,
+     * ex. 'linux/x64/org/lwjgl/liblwjgl.so', so only the file names are kept.
+     *
+     * @param {Object} lib The library as declared by the version data.
+     * @param {string} libJar The path of the library jar.
+     * @param {string} nativePath The directory to extract the natives to.
+     * @returns {Promise.<void>} An empty promise to indicate the extraction has completed.
+     */
+    async _extractNatives(lib, libJar, nativePath){
+        const exclusionArr = lib.extract != null && lib.extract.exclude != null ? lib.extract.exclude : ['META-INF/']
+        const flatten = lib.natives == null
+
+        const zip = new AdmZip(libJar)
+        for(const entry of zip.getEntries()){
+            const fileName = entry.entryName
+            if(entry.isDirectory || exclusionArr.some(exclusion => fileName.startsWith(exclusion))){
+                continue
+            }
+            const dest = path.join(nativePath, flatten ? path.basename(fileName) : fileName)
+            // Guard against entries which would be written outside of the native directory.
+            if(path.relative(nativePath, dest).startsWith('..')){
+                logger.warn('Skipping native entry outside of the native directory:', fileName)
+                continue
+            }
+            await fs.outputFile(dest, entry.getData())
+        }
+    }
 }
 
 module.exports = ProcessBuilder
\ No newline at end of file
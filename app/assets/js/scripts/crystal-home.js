@@ -1,5 +1,7 @@
 const https = require('https')
-const axios = require('axios')
+
+const ServerManager = require('./assets/js/servermanager')
+const ServerStatus = require('./assets/js/serverstatus')
 
 // NAV BAR
 
@@ -10,6 +12,8 @@ $("#nav #store").on("click", function () {
 $("#nav #home").on("click", function () {
     saveSettingsValues()
     ConfigManager.save()
+    populateInstanceSelect()
+    populateVersionSelect()
 
     switchView(getCurrentView(), VIEWS.landing);
 });
@@ -23,24 +27,185 @@ $("#back_button").on("click", function () {
 });
 
 //Setup the partners / servers
-axios.get("https://libraries.crystaldev.co/partners.json")
-    .then(data => {
-        for (const partner of data.data.partners) {
-            $("#servers-container").append(
-                `
-                <a href="${partner.url}" data-balloon-length="medium" aria-label="${partner.ip}" data-balloon-pos="left">
-                    <div class="relative rounded-full p-2 shadow-lg">
-                        <img src="${partner.logo}" alt="${partner.name}" class="w-14 rounded-full">
-                        <span class="absolute h-3 w-3 bottom-1 right-1 rounded-full bg-green-400 hidden"></span>
-                    </div>
-                </a>
-                `
-            )
+const SERVER_STATUS_INTERVAL = 60000
+
+let partnerServers = []
+const serverStatuses = {}
+// A refresh may outlast the interval when servers time out, so refreshes never overlap.
+let serverStatusRefresh = null
+let serverStatusRefreshQueued = false
+
+/**
+ * Ask to launch the selected instance and join a server. Partners also
+ * offer to visit their website.
+ *
+ * @param {Object} server The server entry.
+ */
+function promptPlayServer(server) {
+    if (launch_button.disabled) {
+        return
+    }
+    const autoConnect = ConfigManager.getInstanceSetting(ConfigManager.getSelectedInstance().id, 'game', 'autoConnect')
+    setOverlayContent(
+        `Play on ${server.name}?`,
+        autoConnect
+            ? `The game will join ${server.address} once it has started.`
+            : `Auto connect is disabled, the game will start on the title screen. Join ${server.address} from the multiplayer menu.`,
+        'Play on this server',
+        server.partner ? 'Visit website' : 'Cancel'
+    )
+    setOverlayHandler(() => {
+        toggleOverlay(false)
+        launchGame(server).catch(err => loggerLanding.error('Unhandled error during launch', err))
+    })
+    setDismissHandler(() => {
+        toggleOverlay(false)
+        if (server.partner) {
+            shell.openExternal(server.url)
         }
-    });
+    })
+    toggleOverlay(true, true)
+}
+
+/**
+ * Fill the server sidebar with the partner servers and the servers added by the user.
+ */
+function populateServerList() {
+    const container = document.getElementById('servers-container')
+    container.innerHTML = ''
+
+    for (const server of partnerServers.concat(ServerManager.getServers())) {
+        const entry = document.createElement('a')
+        entry.href = '#'
+        entry.setAttribute('data-balloon-length', 'medium')
+        entry.setAttribute('data-balloon-pos', 'left')
+        entry.setAttribute('data-balloon-break', '')
+        entry.setAttribute('serverAddress', server.address)
+        entry.innerHTML = `
+            <div class="relative rounded-full p-2 shadow-lg">
+                <img class="w-14 rounded-full">
+                <span class="absolute h-3 w-3 bottom-1 right-1 rounded-full bg-green-400 hidden"></span>
+            </div>`
+        const icon = entry.querySelector('img')
+        icon.alt = server.name
+        if (server.logo != null) {
+            icon.src = server.logo
+        } else {
+            const initial = document.createElement('div')
+            initial.className = 'w-14 h-14 rounded-full bg-primary flex items-center justify-center text-white text-xl font-bold'
+            initial.textContent = server.name.charAt(0).toUpperCase()
+            icon.replaceWith(initial)
+        }
+        entry.onclick = (e) => {
+            e.preventDefault()
+            promptPlayServer(server)
+        }
+        applyServerStatus(entry, server)
+        container.appendChild(entry)
+    }
+}
+
+/**
+ * Show the last known status of a server on its sidebar entry.
+ *
+ * @param {HTMLElement} entry The sidebar entry of the server.
+ * @param {Object} server The server entry.
+ */
+function applyServerStatus(entry, server) {
+    const status = serverStatuses[server.address]
+    const dot = entry.querySelector('span')
+    let label = `${server.name} - ${server.address}`
+
+    if (status == null) {
+        dot.classList.add('hidden')
+    } else {
+        dot.classList.remove('hidden')
+        dot.classList.toggle('bg-green-400', status.online)
+        dot.classList.toggle('bg-red-500', !status.online)
+        if (status.online) {
+            label += `\n${status.players.online}/${status.players.max} players - ${status.latency} ms`
+            if (status.version != null) {
+                label += `\n${status.version}`
+            }
+            if (status.motd.length > 0) {
+                label += `\n${status.motd}`
+            }
+        } else {
+            label += '\nOffline'
+        }
+    }
+    entry.setAttribute('aria-label', label)
+}
+
+/**
+ * @returns {boolean} Whether the game launched by the launcher is running.
+ */
+function isGameRunning() {
+    return proc != null && proc.exitCode == null && proc.signalCode == null
+}
+
+/**
+ * Ping every listed server and update the sidebar. Servers are not pinged
+ * while the game is running, so the pings do not compete with the game.
+ * If a refresh is running, another one follows once it has finished.
+ *
+ * @returns {Promise.<void>} Promise which resolves once the sidebar is up to date.
+ */
+function refreshServerStatuses() {
+    if (serverStatusRefresh != null) {
+        serverStatusRefreshQueued = true
+        return serverStatusRefresh
+    }
+    serverStatusRefresh = pingServers().finally(() => {
+        serverStatusRefresh = null
+        if (serverStatusRefreshQueued) {
+            serverStatusRefreshQueued = false
+            refreshServerStatuses()
+        }
+    })
+    return serverStatusRefresh
+}
+
+/**
+ * Ping every listed server once and apply the statuses to the sidebar.
+ */
+async function pingServers() {
+    if (isGameRunning()) {
+        return
+    }
+    const servers = partnerServers.concat(ServerManager.getServers())
+    await Promise.all(servers.map(async server => {
+        serverStatuses[server.address] = await ServerStatus.getStatus(server.address)
+    }))
+
+    const container = document.getElementById('servers-container')
+    for (const server of servers) {
+        const entry = Array.from(container.children).find(e => e.getAttribute('serverAddress') === server.address)
+        if (entry != null) {
+            applyServerStatus(entry, server)
+        }
+    }
+}
+
+ServerManager.loadPartners()
+    .then(partners => {
+        partnerServers = partners
+        populateServerList()
+    })
+    .catch(err => {
+        console.warn('Unable to load the partner servers.', err.message)
+    })
+    .then(refreshServerStatuses)
+populateServerList()
+setInterval(() => {
+    // A periodic refresh is skipped while the previous one is still running.
+    if (serverStatusRefresh == null) {
+        refreshServerStatuses()
+    }
+}, SERVER_STATUS_INTERVAL)
 
 //Setup the news
-axios.get("https://libraries.crystaldev.co/news.json")
+HttpClient.get("https://libraries.crystaldev.co/news.json")
     .then(data => {
         for (const n of data.data.news) {
             $("#news-container").append(
@@ -65,19 +230,29 @@ function saveSettingsValues() {
     const sEls = document.getElementById('settingsContainer').querySelectorAll('[cValue]')
     Array.from(sEls).map((v, index, arr) => {
         const cVal = v.getAttribute('cValue')
-        const sFn = ConfigManager['set' + cVal]
+        if (isSettingInherited(cVal)) {
+            // Drop a previous override, the instance inherits the global value.
+            const [category, key] = SETTINGS_INSTANCE_KEYS[cVal]
+            ConfigManager.clearInstanceOverride(settingsState.scope, category, key)
+            return
+        }
+        const sFn = getSettingsSetter(cVal)
         if (typeof sFn === 'function') {
             if (v.tagName === 'INPUT') {
-                if (v.type === 'number' || v.type === 'text') {
+                if (v.type === 'number' || v.type === 'text' || v.type === 'password') {
                     // Special Conditions
                     if (cVal === 'JVMOptions') {
                         sFn(v.value.split(' '))
+                    } else if (cVal === 'TweakClasses') {
+                        sFn(v.value.split(' ').filter(c => c.length > 0))
                     } else {
                         sFn(v.value)
                     }
                 } else if (v.type === 'checkbox') {
                     sFn(v.checked)
                 }
+            } else if (v.tagName === 'SELECT') {
+                sFn(v.value)
             } else if (v.tagName === 'DIV') {
                 if (v.classList.contains('rangeSlider')) {
                     // Special Conditions
@@ -5,16 +5,31 @@
 const cp = require('child_process')
 
 // Internal Requirements
+const AuthManager = require('./assets/js/authmanager')
+const HttpClient = require('./assets/js/httpclient')
+const InstanceManager = require('./assets/js/instancemanager')
 const ProcessBuilder = require('./assets/js/processbuilder')
+const VersionManifest = require('./assets/js/versionmanifest')
 
 // Launch Elements
 const launch_button = document.getElementById("launch_button")
+const launch_pause_button = document.getElementById('launch_pause_button')
+const launch_cancel_button = document.getElementById('launch_cancel_button')
+const offline_indicator = document.getElementById('offline_indicator')
 const launch_content = document.getElementById('launch_content')
 const launch_details = document.getElementById('launch_details')
 const launch_progress = document.getElementById('launch_progress')
 const launch_progress_label = document.getElementById('launch_progress_label')
 const launch_details_text = document.getElementById('launch_details_text')
 const server_selection_button = document.getElementById('server_selection_button')
+const instance_select = document.getElementById('instance_select')
+const version_select = document.getElementById('version_select')
+
+// Account Elements
+const user_text = document.getElementById('user_text')
+const avatarContainer = document.getElementById('avatarContainer')
+const accountSwitcher = document.getElementById('accountSwitcher')
+const accountSwitcherList = document.getElementById('accountSwitcherList')
 
 const loggerLanding = LoggerUtil('%c[Landing]', 'color: #000668; font-weight: bold')
 
@@ -82,34 +97,337 @@ function setLaunchEnabled(val) {
     launch_button.disabled = !val;
 }
 
-// Bind launch button
-launch_button.addEventListener('click', function (e) {
-    loggerLanding.log('Launching game..')
-    const mcVersion = '1.8.9'
-    const jExe = ConfigManager.getJavaExecutable()
-    if (jExe == null) {
-        asyncSystemScan(mcVersion)
-    } else {
+/**
+ * Show or hide the offline mode indicator.
+ *
+ * @param {boolean} offline True if the game is launched from cached files because the network is unavailable.
+ */
+function setOfflineIndicator(offline) {
+    offline_indicator.style.display = offline ? null : 'none'
+}
+
+/* Download Controls */
+
+// The AssetExec process the download controls are sent to.
+let downloadExec = null
+
+/**
+ * Show the download controls for an AssetExec process, or hide them.
+ *
+ * @param {ChildProcess} exec The AssetExec process which downloads files, or null to hide the controls.
+ */
+function setDownloadControls(exec) {
+    downloadExec = exec
+    launch_pause_button.textContent = 'Pause'
+    launch_pause_button.disabled = false
+    launch_cancel_button.disabled = false
+    launch_pause_button.style.display = exec != null ? null : 'none'
+    launch_cancel_button.style.display = exec != null ? null : 'none'
+}
+
+/**
+ * Determine the bandwidth limit of downloads.
+ *
+ * @returns {number} The bandwidth limit in bytes per second, 0 for unlimited.
+ */
+function getBandwidthLimit() {
+    return ConfigManager.getMaxDownloadSpeed() * 1024
+}
+
+/**
+ * Apply the bandwidth limit to the running downloads, if any.
+ */
+function updateBandwidthLimit() {
+    if (downloadExec != null && downloadExec.connected) {
+        downloadExec.send({ task: 'execute', function: 'setBandwidthLimit', argsArr: [getBandwidthLimit()] })
+    }
+}
+
+/**
+ * Pass the proxy credentials on to an AssetExec process. It cannot decrypt
+ * the stored proxy password itself.
+ *
+ * @param {ChildProcess} exec The AssetExec process.
+ */
+function sendProxyCredentials(exec) {
+    exec.send({
+        task: 'proxyCredentials',
+        username: ConfigManager.getProxyUsername(),
+        password: ConfigManager.getProxyPassword()
+    })
+}
+
+/**
+ * Reflect a state change of the downloads on the download controls.
+ *
+ * @param {string} state The new state of the downloads, paused, running, cancelling or offline.
+ */
+function updateDownloadState(state) {
+    switch (state) {
+        case 'offline':
+            loggerLanding.warn('The network is unavailable, launching from cached files.')
+            setOfflineIndicator(true)
+            break
+        case 'paused':
+            launch_pause_button.textContent = 'Resume'
+            launch_button.childNodes[1].childNodes[3].textContent = 'Paused'
+            break
+        case 'running':
+            launch_pause_button.textContent = 'Pause'
+            launch_button.childNodes[1].childNodes[3].textContent = 'Downloading'
+            break
+        case 'cancelling':
+            launch_pause_button.disabled = true
+            launch_cancel_button.disabled = true
+            setLaunchDetails('Cancelling..')
+            launch_button.childNodes[1].childNodes[3].textContent = 'Cancelling'
+            break
+    }
+}
+
+/**
+ * Restore the launch area once the downloads have been cancelled.
+ */
+function finishDownloadCancel() {
+    loggerLanding.log('Downloads cancelled.')
+    setDownloadControls(null)
+    remote.getCurrentWindow().setProgressBar(-1)
+    toggleLaunchArea(false)
+    setLaunchEnabled(true)
+    launch_button.childNodes[1].childNodes[3].textContent = 'Launch'
+}
+
+launch_pause_button.addEventListener('click', () => {
+    if (downloadExec != null && downloadExec.connected) {
+        downloadExec.send({ task: launch_pause_button.textContent === 'Pause' ? 'pause' : 'resume' })
+    }
+})
+
+launch_cancel_button.addEventListener('click', () => {
+    if (downloadExec != null && downloadExec.connected) {
+        downloadExec.send({ task: 'cancel' })
+    }
+})
 
-        setLaunchDetails(Lang.queryJS('landing.launch.pleaseWait'))
-        toggleLaunchArea(true)
-        setLaunchPercentage(0, 100)
+/* Account Switcher */
 
-        const jg = new JavaGuard(mcVersion)
-        jg._validateJavaBinary(jExe).then((v) => {
-            loggerLanding.log('Java version meta', v)
-            if (v.valid) {
-                dlAsync()
+/**
+ * Show the given account as the selected account on the UI.
+ *
+ * @param {Object} authUser The selected account, or null if there is none.
+ */
+function updateSelectedAccount(authUser) {
+    if (authUser != null) {
+        user_text.innerHTML = authUser.displayName
+        avatarContainer.style.backgroundImage = `url('https://mc-heads.net/avatar/${authUser.uuid}/32')`
+    } else {
+        user_text.innerHTML = 'Not signed in'
+        avatarContainer.style.backgroundImage = null
+    }
+}
+
+/**
+ * Fill the account switcher with every stored account.
+ */
+function populateAccountSwitcher() {
+    const selected = ConfigManager.getSelectedAccount()
+    let htmlString = ''
+    const allowOffline = ConfigManager.getAllowOfflineAccounts()
+    for (const acc of ConfigManager.getAuthAccounts()) {
+        const isSelected = selected != null && selected.uuid === acc.uuid
+        const isDisabled = acc.type === 'offline' && !allowOffline
+        htmlString += `<div class="flex flex-row items-center justify-between px-4 py-2 hover:bg-gray-800 ${isSelected ? 'text-white' : 'color-gray-2'} ${isDisabled ? 'opacity-50' : ''}">
+            <button class="accountSwitcherSelect flex flex-row items-center space-x-3 outline-none focus:outline-none" data-uuid="${acc.uuid}" ${isDisabled ? 'disabled' : ''}>
+                <img src="https://mc-heads.net/avatar/${acc.uuid}/24" alt="" class="w-6 h-6 rounded">
+                <div class="flex flex-col text-left">
+                    <span class="text-sm font-bold">${acc.displayName}</span>
+                    <span class="text-xs color-gray">${acc.type}</span>
+                </div>
+            </button>
+            <button class="accountSwitcherRemove text-xs color-gray hover:text-red-600 outline-none focus:outline-none transition-colors" data-uuid="${acc.uuid}">Remove</button>
+        </div>`
+    }
+    accountSwitcherList.innerHTML = htmlString
+
+    Array.from(accountSwitcherList.getElementsByClassName('accountSwitcherSelect')).map((val) => {
+        val.onclick = (e) => {
+            const authUser = AuthManager.selectAccount(val.getAttribute('data-uuid'))
+            loggerLanding.log('Selected account', authUser.displayName)
+            updateSelectedAccount(authUser)
+            toggleAccountSwitcher(false)
+        }
+    })
+    Array.from(accountSwitcherList.getElementsByClassName('accountSwitcherRemove')).map((val) => {
+        val.onclick = (e) => {
+            e.stopPropagation()
+            AuthManager.removeAccount(val.getAttribute('data-uuid'))
+            const authUser = ConfigManager.getSelectedAccount()
+            updateSelectedAccount(authUser)
+            if (authUser == null) {
+                toggleAccountSwitcher(false)
+                prepareLoginView(false)
+                switchView(getCurrentView(), VIEWS.login)
             } else {
-                asyncSystemScan(mcVersion)
+                populateAccountSwitcher()
             }
-        })
+        }
+    })
+}
+
+/**
+ * Show/hide the account switcher.
+ *
+ * @param {boolean} show Optional. True to show, false to hide. Toggles if omitted.
+ */
+function toggleAccountSwitcher(show = accountSwitcher.style.display === 'none') {
+    if (show) {
+        populateAccountSwitcher()
+        $(accountSwitcher).fadeIn(150)
+    } else {
+        $(accountSwitcher).fadeOut(150)
+    }
+}
+
+document.getElementById('accountSwitcherButton').addEventListener('click', (e) => {
+    e.stopPropagation()
+    toggleAccountSwitcher()
+})
+
+document.getElementById('accountSwitcherAdd').addEventListener('click', (e) => {
+    toggleAccountSwitcher(false)
+    prepareLoginView(true)
+    switchView(getCurrentView(), VIEWS.login)
+})
+
+// Close the account switcher when clicking anywhere else.
+document.addEventListener('click', (e) => {
+    if (accountSwitcher.style.display !== 'none' && !accountSwitcher.contains(e.target)) {
+        toggleAccountSwitcher(false)
+    }
+})
+
+updateSelectedAccount(ConfigManager.getSelectedAccount())
+
+/* Instance and Version Pickers */
+
+/**
+ * Fill the instance picker with every instance.
+ */
+function populateInstanceSelect() {
+    const selected = ConfigManager.getSelectedInstance()
+    instance_select.innerHTML = ''
+    for (const instance of ConfigManager.getInstances()) {
+        instance_select.add(new Option(instance.name, instance.id, false, instance.id === selected.id))
+    }
+}
+
+/**
+ * Fill the version picker with the versions which pass the configured
+ * filters. The version of the selected instance is always listed.
+ */
+async function populateVersionSelect() {
+    const selected = ConfigManager.getSelectedInstance().version
+    const versions = await VersionManifest.getVersions(ConfigManager.getVersionFilters())
+    if (!versions.some(v => v.id === selected)) {
+        const selectedVersion = await VersionManifest.getVersion(selected)
+        if (selectedVersion != null) {
+            versions.unshift(selectedVersion)
+        }
+    }
+
+    version_select.innerHTML = versions.map(v =>
+        `<option value="${v.id}" ${v.id === selected ? 'selected' : ''}>${v.name}</option>`
+    ).join('')
+}
+
+instance_select.addEventListener('change', () => {
+    loggerLanding.log('Selected instance', instance_select.value)
+    InstanceManager.selectInstance(instance_select.value)
+    populateVersionSelect()
+})
+
+version_select.addEventListener('change', () => {
+    const instance = ConfigManager.getSelectedInstance()
+    loggerLanding.log('Selected version', version_select.value, 'for instance', instance.id)
+    ConfigManager.setInstanceVersion(instance.id, version_select.value)
+    ConfigManager.save()
+})
+
+populateInstanceSelect()
+populateVersionSelect()
+
+/**
+ * Launch the selected instance. Validation and downloads are run first,
+ * Java is installed if necessary.
+ *
+ * @param {Object} server Optional. The server to join once the game has started.
+ */
+async function launchGame(server = null) {
+    const authUser = ConfigManager.getSelectedAccount()
+    if (authUser == null) {
+        loggerLanding.log('No account selected, showing login view.')
+        prepareLoginView(false)
+        switchView(getCurrentView(), VIEWS.login)
+        return
+    }
+    if (authUser.type === 'offline' && !ConfigManager.getAllowOfflineAccounts()) {
+        loggerLanding.log('Offline accounts are disabled, showing login view.')
+        prepareLoginView(true)
+        switchView(getCurrentView(), VIEWS.login)
+        return
+    }
+
+    if (server != null) {
+        loggerLanding.log('Launching game to join', server.address)
+    } else {
+        loggerLanding.log('Launching game..')
     }
     setLaunchEnabled(false);
+
+    try {
+        const instance = ConfigManager.getSelectedInstance()
+        const version = await VersionManifest.getVersion(instance.version)
+        if (version == null) {
+            loggerLanding.error('Selected version could not be found:', instance.version)
+            showLaunchFailure('Unknown Version', 'The selected version is not available. Please select another version and try again.')
+            setLaunchEnabled(true)
+            return
+        }
+
+        const jExe = ConfigManager.getInstanceSetting(instance.id, 'java', 'executable')
+        if (jExe == null) {
+            asyncSystemScan(instance, version, true, server)
+        } else {
+
+            setLaunchDetails(Lang.queryJS('landing.launch.pleaseWait'))
+            toggleLaunchArea(true)
+            setLaunchPercentage(0, 100)
+
+            const jg = new JavaGuard(version.mcVersion, VersionManifest.getRequiredJavaMajor(version))
+            jg._validateJavaBinary(jExe).then((v) => {
+                loggerLanding.log('Java version meta', v)
+                if (v.valid) {
+                    dlAsync(instance, version, server)
+                } else {
+                    asyncSystemScan(instance, version, true, server)
+                }
+            })
+        }
+    } catch (err) {
+        loggerLanding.error('Error while preparing the launch', err)
+        showLaunchFailure('Error During Launch', err.message || 'See console (CTRL + Shift + i) for more details.')
+        setLaunchEnabled(true)
+    }
+}
+
+// Bind launch button
+launch_button.addEventListener('click', function (e) {
+    launchGame().catch(err => loggerLanding.error('Unhandled error during launch', err))
 })
 
 /**
- * Shows an error overlay, toggles off the launch area.
+ * Shows an error overlay, toggles off the launch area and restores the
+ * launch button, so the launch can be retried.
  *
  * @param {string} title The overlay title.
  * @param {string} desc The overlay description.
@@ -123,6 +441,10 @@ function showLaunchFailure(title, desc) {
     setOverlayHandler(null)
     toggleOverlay(true)
     toggleLaunchArea(false)
+    setDownloadControls(null)
+    remote.getCurrentWindow().setProgressBar(-1)
+    setLaunchEnabled(true)
+    launch_button.childNodes[1].childNodes[3].textContent = 'Launch'
 }
 
 /* System (Java) Scan */
@@ -132,13 +454,42 @@ let scanAt
 
 let extractListener
 
+/**
+ * Save the Java executable an instance should launch with. If the instance
+ * overrides the Java executable, the override is updated. Otherwise the
+ * global value is.
+ *
+ * @param {Object} instance The instance which was validated.
+ * @param {string} execPath The path of the Java executable.
+ */
+function saveJavaExecutable(instance, execPath) {
+    const overridden = ConfigManager.isInstanceOverridden(instance.id, 'java', 'executable')
+    if (overridden) {
+        ConfigManager.setInstanceOverride(instance.id, 'java', 'executable', execPath)
+    } else {
+        ConfigManager.setJavaExecutable(execPath)
+    }
+    ConfigManager.save()
+
+    // We need to make sure that the updated value is on the settings UI.
+    // Just incase the settings UI is already open.
+    if (settingsState.scope === instance.id || (settingsState.scope == null && !overridden)) {
+        settingsJavaExecVal.value = execPath
+        populateJavaExecDetails(settingsJavaExecVal.value)
+    }
+}
+
 /**
  * Asynchronously scan the system for valid Java installations.
  *
- * @param {string} mcVersion The Minecraft version we are scanning for.
+ * @param {Object} instance The instance to launch after scanning.
+ * @param {Object} version The version entry we are scanning for.
  * @param {boolean} launchAfter Whether we should begin to launch after scanning.
+ * @param {Object} server Optional. The server to join once the game has started.
  */
-function asyncSystemScan(mcVersion, launchAfter = true) {
+function asyncSystemScan(instance, version, launchAfter = true, server = null) {
+
+    const javaMajor = VersionManifest.getRequiredJavaMajor(version)
 
     setLaunchDetails('Please wait..')
     toggleLaunchArea(true)
@@ -152,11 +503,13 @@ function asyncSystemScan(mcVersion, launchAfter = true) {
     // Fork a process to run validations.
     sysAEx = cp.fork(path.join(__dirname, 'assets', 'js', 'assetexec.js'), [
         'JavaGuard',
-        mcVersion
+        version.mcVersion,
+        javaMajor
     ], {
         env: forkEnv,
         stdio: 'pipe'
     })
+    sendProxyCredentials(sysAEx)
     // Stdout
     sysAEx.stdio[1].setEncoding('utf8')
     sysAEx.stdio[1].on('data', (data) => {
@@ -173,21 +526,15 @@ function asyncSystemScan(mcVersion, launchAfter = true) {
         if (m.context === 'validateJava') {
             if (m.result == null) {
                 setLaunchDetails('Preparing Java Download..')
-                sysAEx.send({ task: 'changeContext', class: 'AssetGuard', args: [ConfigManager.getCommonDirectory(), ConfigManager.getJavaExecutable()] })
-                sysAEx.send({ task: 'execute', function: '_enqueueOpenJDK', argsArr: [ConfigManager.getDataDirectory()] })
+                sysAEx.send({ task: 'changeContext', class: 'AssetGuard', args: [ConfigManager.getCommonDirectory(), ConfigManager.getInstanceSetting(instance.id, 'java', 'executable')] })
+                sysAEx.send({ task: 'execute', function: '_enqueueOpenJDK', argsArr: [ConfigManager.getDataDirectory(), javaMajor] })
 
             } else {
                 // Java installation found, use this to launch the game.
-                ConfigManager.setJavaExecutable(m.result)
-                ConfigManager.save()
-
-                // We need to make sure that the updated value is on the settings UI.
-                // Just incase the settings UI is already open.
-                settingsJavaExecVal.value = m.result
-                populateJavaExecDetails(settingsJavaExecVal.value)
+                saveJavaExecutable(instance, m.result)
 
                 if (launchAfter) {
-                    dlAsync()
+                    dlAsync(instance, version, server)
                 }
                 sysAEx.disconnect()
             }
@@ -197,6 +544,8 @@ function asyncSystemScan(mcVersion, launchAfter = true) {
 
                 // Oracle JRE enqueued successfully, begin download.
                 setLaunchDetails('Downloading Java..')
+                setDownloadControls(sysAEx)
+                updateBandwidthLimit()
                 sysAEx.send({ task: 'execute', function: 'processDlQueues', argsArr: [[{ id: 'java', limit: 1 }]] })
 
             } else {
@@ -217,6 +566,26 @@ function asyncSystemScan(mcVersion, launchAfter = true) {
 
             }
 
+        } else if (m.context === 'processDlQueues') {
+
+            if (m.error != null && m.error.code === 'downloadCancelled') {
+                finishDownloadCancel()
+                sysAEx.disconnect()
+            } else if (m.error != null || m.result.length > 0) {
+                loggerLanding.error('Java download failed:', m.result)
+                remote.getCurrentWindow().setProgressBar(-1)
+                if (extractListener != null) {
+                    clearInterval(extractListener)
+                    extractListener = null
+                }
+                showLaunchFailure('Java Download Failed', 'Java could not be downloaded. Ensure that you are connected to the internet and try again.')
+                sysAEx.disconnect()
+            }
+
+        } else if (m.context === 'state') {
+
+            updateDownloadState(m.data)
+
         } else if (m.context === 'progress') {
 
             switch (m.data) {
@@ -250,10 +619,10 @@ function asyncSystemScan(mcVersion, launchAfter = true) {
                 case 'java':
                     // Download & extraction complete, remove the loading from the OS progress bar.
                     remote.getCurrentWindow().setProgressBar(-1)
+                    setDownloadControls(null)
 
                     // Extraction completed successfully.
-                    ConfigManager.setJavaExecutable(m.args[0])
-                    ConfigManager.save()
+                    saveJavaExecutable(instance, m.args[0])
 
                     if (extractListener != null) {
                         clearInterval(extractListener)
@@ -263,7 +632,7 @@ function asyncSystemScan(mcVersion, launchAfter = true) {
                     setLaunchDetails('Java Installed!')
 
                     if (launchAfter) {
-                        dlAsync()
+                        dlAsync(instance, version, server)
                     }
 
                     sysAEx.disconnect()
@@ -288,11 +657,19 @@ let versionData
 
 let progressListener
 
-function dlAsync() {
+/**
+ * Validate and download the files of a version, then launch the game.
+ *
+ * @param {Object} instance The instance to launch.
+ * @param {Object} version The version entry to launch.
+ * @param {Object} server Optional. The server to join once the game has started.
+ */
+function dlAsync(instance, version, server = null) {
 
     setLaunchDetails('Please wait..')
     toggleLaunchArea(true)
     setLaunchPercentage(0, 100)
+    setOfflineIndicator(false)
 
     const loggerAEx = LoggerUtil('%c[AEx]', 'color: #353232; font-weight: bold')
     const loggerLaunchSuite = LoggerUtil('%c[LaunchSuite]', 'color: #000668; font-weight: bold')
@@ -304,11 +681,14 @@ function dlAsync() {
     aEx = cp.fork(path.join(__dirname, 'assets', 'js', 'assetexec.js'), [
         'AssetGuard',
         ConfigManager.getCommonDirectory(),
-        ConfigManager.getJavaExecutable()
+        ConfigManager.getInstanceSetting(instance.id, 'java', 'executable')
     ], {
         env: forkEnv,
         stdio: 'pipe'
     })
+    setDownloadControls(aEx)
+    updateBandwidthLimit()
+    sendProxyCredentials(aEx)
     // Stdout
     aEx.stdio[1].setEncoding('utf8')
     // Stderr
@@ -328,7 +708,7 @@ function dlAsync() {
     })
 
     // Establish communications between the AssetExec and current process.
-    aEx.on('message', (m) => {
+    aEx.on('message', async (m) => {
 
         if (m.context === 'validate') {
             switch (m.data) {
@@ -353,6 +733,8 @@ function dlAsync() {
                     setLaunchDetails('Downloading files..')
                     break
             }
+        } else if (m.context === 'state') {
+            updateDownloadState(m.data)
         } else if (m.context === 'progress') {
             switch (m.data) {
                 case 'assets': {
@@ -421,19 +803,68 @@ function dlAsync() {
         } else if(m.context === 'validateEverything') {
 
             let allGood = true
+            setDownloadControls(null)
 
             // If these properties are not defined it's likely an error.
-            if (m.result.versionData == null){
+            if (m.result.versionData == null && m.result.error != null && m.result.error.code === 'downloadCancelled') {
+                finishDownloadCancel()
+                allGood = false
+            } else if (m.result.versionData == null){
                 loggerLaunchSuite.error('Error during validation:', m.result)
 
-                loggerLaunchSuite.error('Error during launch', m.result.error)
-                showLaunchFailure('Error During Launch', 'Please check the console (CTRL + Shift + i) for more details.')
+                if (m.result.error != null && m.result.error.code === 'offline') {
+                    loggerLaunchSuite.error('Files which are missing:', m.result.error.failed)
+                    // Nothing is launched from cached files, the launch button is restored by the failure overlay.
+                    setOfflineIndicator(false)
+                    showLaunchFailure(
+                        'Offline',
+                        m.result.error.failed != null
+                            ? `${m.result.error.failed.length} files are missing and cannot be downloaded without an internet connection. Connect to the internet and try again.`
+                            : 'This version has not been downloaded yet. Connect to the internet and try again.'
+                    )
+                } else if (m.result.error != null && m.result.error.code === 'downloadFailed') {
+                    loggerLaunchSuite.error('Files which could not be downloaded:', m.result.error.failed)
+                    showLaunchFailure(
+                        'Download Error',
+                        `${m.result.error.failed.length} files could not be downloaded. Ensure that you are connected to the internet and try again.`
+                    )
+                } else {
+                    loggerLaunchSuite.error('Error during launch', m.result.error)
+                    showLaunchFailure('Error During Launch', 'Please check the console (CTRL + Shift + i) for more details.')
+                }
 
                 allGood = false
             }
 
             versionData = m.result.versionData
 
+            if (allGood) {
+                // Make sure the session is still valid before the game is started.
+                // Sessions cannot be refreshed offline, the game is launched with the cached one.
+                setLaunchDetails('Validating account..')
+                const accountValid = m.result.offline || await AuthManager.validateSelected()
+                if (!accountValid) {
+                    const authUser = ConfigManager.getSelectedAccount()
+                    loggerLaunchSuite.error('Unable to refresh the session of', authUser.displayName)
+                    allGood = false
+
+                    toggleLaunchArea(false)
+                    setLaunchEnabled(true)
+                    launch_button.childNodes[1].childNodes[3].textContent = "Launch"
+                    setOverlayContent(
+                        Lang.queryJS('landing.launch.sessionExpired.title'),
+                        Lang.queryJS('landing.launch.sessionExpired.desc').replace('{account}', authUser.displayName),
+                        Lang.queryJS('landing.launch.sessionExpired.acknowledge')
+                    )
+                    setOverlayHandler(() => {
+                        toggleOverlay(false)
+                        prepareLoginView(true)
+                        switchView(getCurrentView(), VIEWS.login)
+                    })
+                    toggleOverlay(true)
+                }
+            }
+
             if (allGood) {
 
                 let mcArgs = [
@@ -448,7 +879,7 @@ function dlAsync() {
                     '--userType', '${user_type}'
                 ].join(" ")
 
-                let pb = new ProcessBuilder(versionData, mcArgs)
+                let pb = new ProcessBuilder(instance, version, versionData, mcArgs, ConfigManager.getSelectedAccount(), server)
                 setLaunchDetails('Launching game..')
 
                 const gameStateChange = function(data){
@@ -462,7 +893,7 @@ function dlAsync() {
 
                         let fileData = require('fs').readFileSync(fileLoc).toString()
 
-                        require('axios').post('https://paste.crystaldev.co/documents', fileData)
+                        HttpClient.post('https://paste.crystaldev.co/documents', fileData)
                             .then(d => {
                                 let crashLog = `https://paste.crystaldev.co/${d.data.key}`
 
@@ -481,11 +912,14 @@ function dlAsync() {
                                 }
                             })
                     }
-                    else if (new RegExp("^.+ \\[Client thread/INFO\]: Stopping!$").test(data)) {
-                        launch_button.childNodes[1].childNodes[3].textContent = "Launch";
-                        setLaunchEnabled(true);
-                        remote.getCurrentWindow().show()
-                    }
+                }
+
+                // Every version and mod loader logs its shutdown differently, the process exit is reliable.
+                const gameExitListener = function(code) {
+                    loggerLaunchSuite.log('Game exited with code', code)
+                    launch_button.childNodes[1].childNodes[3].textContent = "Launch"
+                    setLaunchEnabled(true)
+                    remote.getCurrentWindow().show()
                 }
 
                 const gameErrorListener = function(data) {
@@ -501,10 +935,12 @@ function dlAsync() {
 
                 try {
                     // Build Minecraft process.
-                    proc = pb.build()
+                    proc = await pb.build()
+                    proc.on('close', gameExitListener)
+                    InstanceManager.markPlayed(instance.id)
                     launch_button.childNodes[1].childNodes[3].textContent = "Running"
 
-                    if (ConfigManager.getHideLauncher())
+                    if (ConfigManager.getInstanceSetting(instance.id, 'game', 'hideLauncher'))
                         remote.getCurrentWindow().hide()
 
                     // Bind listeners to stdout.
@@ -523,5 +959,5 @@ function dlAsync() {
     })
 
     setLaunchDetails('Loading server information..')
-    aEx.send({ task: 'execute', function: 'validateEverything', argsArr: [] })
+    aEx.send({ task: 'execute', function: 'validateEverything', argsArr: [version.id, instance.gameDirectory] })
 }
\ No newline at end of file
@@ -0,0 +1,204 @@
+/**
+ * Script for login.ejs
+ */
+// Internal Requirements
+const Microsoft = require('./assets/js/microsoft')
+
+// Login Elements
+const loginMicrosoftButton = document.getElementById('loginMicrosoftButton')
+const loginMicrosoftText = document.getElementById('loginMicrosoftText')
+const loginCancelButton = document.getElementById('loginCancelButton')
+const loginOfflineContainer = document.getElementById('loginOfflineContainer')
+const loginOfflineUsername = document.getElementById('loginOfflineUsername')
+const loginOfflineButton = document.getElementById('loginOfflineButton')
+
+const loggerLogin = LoggerUtil('%c[Login]', 'color: #000668; font-weight: bold')
+
+/**
+ * Enable or disable the login button.
+ *
+ * @param {boolean} val True to enable, false to disable.
+ */
+function setLoginEnabled(val) {
+    loginMicrosoftButton.disabled = !val
+    loginOfflineButton.disabled = !val
+}
+
+/**
+ * Show/hide the cancel button. It is only shown when the login view was
+ * opened to add another account.
+ *
+ * @param {boolean} val True to show, false to hide.
+ */
+function loginCancelEnabled(val) {
+    loginCancelButton.style.display = val ? null : 'none'
+}
+
+/**
+ * Prepare the login view before it is shown. The offline login form is
+ * only available when offline accounts are enabled in the settings.
+ *
+ * @param {boolean} cancelable Whether the user may return to the landing view.
+ */
+function prepareLoginView(cancelable) {
+    loginCancelEnabled(cancelable)
+    loginOfflineContainer.style.display = ConfigManager.getAllowOfflineAccounts() ? null : 'none'
+    loginOfflineUsername.value = ''
+}
+
+/**
+ * Restore the login button to its default state.
+ */
+function resetLoginButton() {
+    loginMicrosoftText.innerHTML = 'Sign in with Microsoft'
+    setLoginEnabled(true)
+}
+
+/**
+ * Load the pages of a login window through the proxy configured in the
+ * launcher settings. The main process answers the proxy's authentication
+ * challenge with the credentials sent to it.
+ *
+ * @param {BrowserWindow} authWindow The login window.
+ * @returns {Promise.<void>} Promise which resolves once the proxy has been applied.
+ */
+async function applyLoginProxy(authWindow) {
+    try {
+        const proxy = HttpClient.getSessionProxy()
+        ipcRenderer.send('proxyCredentials', proxy.username != null ? { username: proxy.username, password: proxy.password } : null)
+        await authWindow.webContents.session.setProxy(proxy.config)
+    } catch (err) {
+        loggerLogin.warn('Unable to apply the proxy to the login window.', err)
+    }
+}
+
+/**
+ * Open the Microsoft sign-in page in a child window and wait for it to
+ * redirect back with an authorization code.
+ *
+ * @returns {Promise.<string>} Promise which resolves to the authorization code,
+ * or null if the user closed the window.
+ */
+function requestMicrosoftAuthCode() {
+    return new Promise((resolve, reject) => {
+        const redirectUri = Microsoft.getRedirectURI()
+        const authWindow = new remote.BrowserWindow({
+            width: 520,
+            height: 600,
+            parent: remote.getCurrentWindow(),
+            modal: true,
+            backgroundColor: '#1b1c22',
+            webPreferences: {
+                nodeIntegration: false,
+                contextIsolation: true
+            }
+        })
+        authWindow.removeMenu()
+
+        let settled = false
+
+        const onNavigate = (e, url) => {
+            if (settled || !url.startsWith(redirectUri)) {
+                return
+            }
+            settled = true
+            authWindow.close()
+
+            const params = new URL(url).searchParams
+            if (params.has('code')) {
+                resolve(params.get('code'))
+            } else if (params.get('error') === 'access_denied') {
+                // The user declined the consent prompt.
+                resolve(null)
+            } else {
+                const err = new Error(params.get('error_description') || params.get('error'))
+                err.code = 'unknown'
+                reject(err)
+            }
+        }
+
+        authWindow.webContents.on('will-redirect', onNavigate)
+        authWindow.webContents.on('did-navigate', onNavigate)
+        authWindow.on('closed', () => {
+            if (!settled) {
+                settled = true
+                resolve(null)
+            }
+        })
+
+        applyLoginProxy(authWindow).then(() => {
+            authWindow.loadURL(Microsoft.getAuthorizeURL())
+        })
+    })
+}
+
+/**
+ * Show a login error on the overlay.
+ *
+ * @param {Error} err The error which occurred during login.
+ */
+function showLoginError(err) {
+    const msg = Lang.queryJS(`login.error.${err.code}`) || Lang.queryJS('login.error.unknown')
+    setOverlayContent(
+        msg.title,
+        msg.desc || err.message,
+        Lang.queryJS('login.tryAgain')
+    )
+    setOverlayHandler(() => {
+        toggleOverlay(false)
+    })
+    toggleOverlay(true)
+}
+
+// Bind Microsoft login button
+loginMicrosoftButton.addEventListener('click', async () => {
+    setLoginEnabled(false)
+    loginMicrosoftText.innerHTML = Lang.queryJS('login.loggingIn')
+
+    try {
+        const authCode = await requestMicrosoftAuthCode()
+        if (authCode == null) {
+            loggerLogin.log('Microsoft login cancelled.')
+            resetLoginButton()
+            return
+        }
+
+        const account = await AuthManager.addMicrosoftAccount(authCode)
+        loggerLogin.log('Logged in as', account.displayName)
+        loginMicrosoftText.innerHTML = Lang.queryJS('login.success')
+        updateSelectedAccount(account)
+
+        setTimeout(() => {
+            switchView(VIEWS.login, VIEWS.landing, 500, 500, () => {
+                resetLoginButton()
+                loginCancelEnabled(false)
+            })
+        }, 1000)
+    } catch (err) {
+        loggerLogin.error('Error while logging in.', err)
+        resetLoginButton()
+        showLoginError(err)
+    }
+})
+
+// Bind offline login button
+loginOfflineButton.addEventListener('click', () => {
+    try {
+        const account = AuthManager.addOfflineAccount(loginOfflineUsername.value)
+        loggerLogin.log('Added offline account', account.displayName)
+        updateSelectedAccount(account)
+        switchView(VIEWS.login, VIEWS.landing, 500, 500, () => {
+            loginCancelEnabled(false)
+        })
+    } catch (err) {
+        loggerLogin.error('Error while adding offline account.', err)
+        showLoginError(err)
+    }
+})
+
+// Bind cancel button
+loginCancelButton.addEventListener('click', () => {
+    switchView(VIEWS.login, VIEWS.landing, 500, 500, () => {
+        loginCancelEnabled(false)
+    })
+})
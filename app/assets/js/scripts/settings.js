@@ -1,10 +1,36 @@
 // Requirements
 const os = require('os')
 
+const { pathToFileURL } = require('url')
+
 const { JavaGuard } = require('./assets/js/assetguard')
 
 const settingsState = {
-    invalid: new Set()
+    invalid: new Set(),
+    // The id of the instance being edited, or null for the global settings.
+    scope: null,
+    // The settings the edited instance overrides.
+    overridden: new Set(),
+    // Values loaded onto the UI are not edits.
+    loading: false
+}
+
+/**
+ * The settings which can be overridden per instance, mapped to
+ * their category and key in the configuration.
+ */
+const SETTINGS_INSTANCE_KEYS = {
+    MinRAM: ['java', 'minRAM'],
+    MaxRAM: ['java', 'maxRAM'],
+    JavaExecutable: ['java', 'executable'],
+    JVMOptions: ['java', 'jvmOptions'],
+    GameWidth: ['game', 'resWidth'],
+    GameHeight: ['game', 'resHeight'],
+    Fullscreen: ['game', 'fullscreen'],
+    AutoConnect: ['game', 'autoConnect'],
+    LaunchDetached: ['game', 'launchDetached'],
+    HideLauncher: ['game', 'hideLauncher'],
+    TweakClasses: ['game', 'tweakClasses']
 }
 
 function bindSettingsSelect() {
@@ -65,6 +91,7 @@ function bindFileSelectors() {
             const res = await remote.dialog.showOpenDialog(remote.getCurrentWindow(), options)
             if (!res.canceled) {
                 ele.previousElementSibling.value = res.filePaths[0]
+                ele.previousElementSibling.dispatchEvent(new Event('change'))
                 if (isJavaExecSel) {
                     populateJavaExecDetails(ele.previousElementSibling.value)
                 }
@@ -93,7 +120,7 @@ function initSettingsValidators() {
         const vFn = ConfigManager['validate' + v.getAttribute('cValue')]
         if (typeof vFn === 'function') {
             if (v.tagName === 'INPUT') {
-                if (v.type === 'number' || v.type === 'text') {
+                if (v.type === 'number' || v.type === 'text' || v.type === 'password') {
                     v.addEventListener('keyup', (e) => {
                         const v = e.target
                         if (!vFn(v.value)) {
@@ -117,52 +144,106 @@ function initSettingsValidators() {
     })
 }
 
+/**
+ * Resolve the getter of a setting for the edited scope. Settings which an
+ * instance can override resolve to the value the instance launches with.
+ * 
+ * @param {string} cVal The cValue of the setting.
+ * @returns {function} The getter, or undefined if the setting has none.
+ */
+function getSettingsGetter(cVal) {
+    if (settingsState.scope != null && SETTINGS_INSTANCE_KEYS[cVal] != null) {
+        const [category, key] = SETTINGS_INSTANCE_KEYS[cVal]
+        return () => ConfigManager.getInstanceSetting(settingsState.scope, category, key)
+    }
+    return ConfigManager['get' + cVal]
+}
+
+/**
+ * Check if a setting is inherited by the edited instance, because the
+ * instance does not override it.
+ * 
+ * @param {string} cVal The cValue of the setting.
+ * @returns {boolean} True if the setting is inherited, otherwise false.
+ */
+function isSettingInherited(cVal) {
+    return settingsState.scope != null && SETTINGS_INSTANCE_KEYS[cVal] != null && !settingsState.overridden.has(cVal)
+}
+
+/**
+ * Resolve the setter of a setting for the edited scope. Settings which the
+ * edited instance inherits have no setter.
+ * 
+ * @param {string} cVal The cValue of the setting.
+ * @returns {function} The setter, or undefined if the value should not be saved.
+ */
+function getSettingsSetter(cVal) {
+    if (settingsState.scope != null && SETTINGS_INSTANCE_KEYS[cVal] != null) {
+        if (isSettingInherited(cVal)) {
+            return
+        }
+        const [category, key] = SETTINGS_INSTANCE_KEYS[cVal]
+        return (val) => ConfigManager.setInstanceOverride(settingsState.scope, category, key, val)
+    }
+    return ConfigManager['set' + cVal]
+}
+
 /**
  * Load configuration values onto the UI. This is an automated process.
  */
 function initSettingsValues() {
     const sEls = document.getElementById('settingsContainer').querySelectorAll('[cValue]')
     Array.from(sEls).map((v, index, arr) => {
-        const cVal = v.getAttribute('cValue')
-        const gFn = ConfigManager['get' + cVal]
+        initSettingsValue(v)
+    })
+}
 
-        if (typeof gFn === 'function') {
-            if (v.tagName === 'INPUT') {
-                if (v.type === 'number' || v.type === 'text') {
-                    // Special Conditions
-                    if (cVal === 'JavaExecutable') {
-                        // populateJavaExecDetails(v.value)
-                        v.value = gFn()
-                    } else if (cVal === 'DataDirectory') {
-                        v.value = gFn()
-                    } else if (cVal === 'JVMOptions') {
-                        v.value = gFn().join(' ')
-                    } else {
-                        v.value = gFn()
-                    }
-                } else if (v.type === 'checkbox') {
-                    v.checked = gFn()
+/**
+ * Load the configuration value of a single setting onto the UI.
+ * 
+ * @param {Element} v The element of the setting.
+ */
+function initSettingsValue(v) {
+    const cVal = v.getAttribute('cValue')
+    const gFn = getSettingsGetter(cVal)
+
+    if (typeof gFn === 'function') {
+        if (v.tagName === 'INPUT') {
+            if (v.type === 'number' || v.type === 'text' || v.type === 'password') {
+                // Special Conditions
+                if (cVal === 'JavaExecutable') {
+                    // populateJavaExecDetails(v.value)
+                    v.value = gFn()
+                } else if (cVal === 'DataDirectory') {
+                    v.value = gFn()
+                } else if (cVal === 'JVMOptions' || cVal === 'TweakClasses') {
+                    v.value = gFn().join(' ')
+                } else {
+                    v.value = gFn()
                 }
-            } else if (v.tagName === 'DIV') {
-                if (v.classList.contains('rangeSlider')) {
-                    // Special Conditions
-                    if (cVal === 'MinRAM' || cVal === 'MaxRAM') {
-                        let val = gFn()
-                        if (val.endsWith('M')) {
-                            val = Number(val.substring(0, val.length - 1)) / 1000
-                        } else {
-                            val = Number.parseFloat(val)
-                        }
-
-                        v.setAttribute('value', val)
+            } else if (v.type === 'checkbox') {
+                v.checked = gFn()
+            }
+        } else if (v.tagName === 'SELECT') {
+            v.value = gFn()
+        } else if (v.tagName === 'DIV') {
+            if (v.classList.contains('rangeSlider')) {
+                // Special Conditions
+                if (cVal === 'MinRAM' || cVal === 'MaxRAM') {
+                    let val = gFn()
+                    if (val.endsWith('M')) {
+                        val = Number(val.substring(0, val.length - 1)) / 1000
                     } else {
-                        v.setAttribute('value', Number.parseFloat(gFn()))
+                        val = Number.parseFloat(val)
                     }
+
+                    v.setAttribute('value', val)
+                } else {
+                    v.setAttribute('value', Number.parseFloat(gFn()))
                 }
             }
         }
-
-    })
+    }
 }
 
 let selectedSettingsTab = 'settingsTabMinecraft'
@@ -454,8 +535,12 @@ function updateRangedSlider(element, value, notch) {
  * 
  * @param {string} execPath The executable path to populate against.
  */
-function populateJavaExecDetails(execPath) {
-    const jg = new JavaGuard('1.8')
+async function populateJavaExecDetails(execPath) {
+    const instance = settingsState.scope != null ? ConfigManager.getInstance(settingsState.scope) : ConfigManager.getSelectedInstance()
+    const version = await VersionManifest.getVersion(instance.version)
+    const jg = version != null
+        ? new JavaGuard(version.mcVersion, VersionManifest.getRequiredJavaMajor(version))
+        : new JavaGuard('1.8')
     jg._validateJavaBinary(execPath).then(v => {
         if (v.valid) {
             const vendor = v.vendor != null ? ` (${v.vendor})` : ''
@@ -477,6 +562,301 @@ function prepareJavaTab() {
     bindRangeSlider()
 }
 
+/**
+ * Instances Tab
+ */
+
+// DOM Cache
+const settingsInstanceList = document.getElementById('settingsInstanceList')
+const settingsInstanceNewName = document.getElementById('settingsInstanceNewName')
+
+const SETTINGS_DEFAULT_INSTANCE_ICON = 'https://media.discordapp.net/attachments/843147834597310484/848332886217588796/icon.png'
+
+/**
+ * Resolve the image source of an instance icon.
+ * 
+ * @param {Object} instance The instance.
+ * @returns {string} The url of the icon.
+ */
+function resolveInstanceIcon(instance) {
+    if (instance.icon == null) {
+        return SETTINGS_DEFAULT_INSTANCE_ICON
+    }
+    return /^https?:\/\//.test(instance.icon) ? instance.icon : pathToFileURL(instance.icon).href
+}
+
+/**
+ * Show an error of the instance or server management on the overlay.
+ * 
+ * @param {string} title The title of the error.
+ * @param {Error} err The error which occurred.
+ */
+function showSettingsError(title, err) {
+    setOverlayContent(title, err.message, 'Okay')
+    setOverlayHandler(null)
+    toggleOverlay(true)
+}
+
+/**
+ * Refresh every view which lists instances.
+ */
+function refreshInstanceViews() {
+    populateInstanceList()
+    populateInstanceSelect()
+    populateVersionSelect()
+    if (settingsState.scope != null && ConfigManager.getInstance(settingsState.scope) == null) {
+        settingsState.scope = null
+        loadSettingsScope()
+    }
+    populateSettingsScopeSelect()
+}
+
+/**
+ * Fill the instance list of the instances tab.
+ */
+function populateInstanceList() {
+    const selected = ConfigManager.getSelectedInstance()
+    settingsInstanceList.innerHTML = ''
+
+    for (const instance of ConfigManager.getInstances()) {
+        const lastPlayed = instance.lastPlayed != null ? new Date(instance.lastPlayed).toLocaleString() : 'Never'
+        const row = document.createElement('div')
+        row.className = 'flex flex-1 flex-row items-center space-x-3 no-drag'
+        row.innerHTML = `
+            <img class="w-12 h-12 rounded-lg cursor-pointer" title="Change icon" instanceAction="icon">
+            <div class="flex flex-col flex-1">
+                <input class="px-2 py-1 rounded-lg" type="text" instanceAction="rename">
+                <span class="text-sm color-gray-2 mt-1"></span>
+            </div>
+            <button class="px-4 py-2 bg-blue-primary shadow-sm outline-none focus:outline-none text-white rounded-lg" instanceAction="duplicate">Duplicate</button>
+            <button class="px-4 py-2 bg-red-500 shadow-sm outline-none focus:outline-none text-white rounded-lg" instanceAction="delete">Delete</button>`
+        row.querySelector('img').src = resolveInstanceIcon(instance)
+        row.querySelector('input').value = instance.name
+        row.querySelector('span').textContent = `${instance.version} - Last played: ${lastPlayed}${instance.id === selected.id ? ' - Selected' : ''}`
+
+        row.querySelector('[instanceAction="icon"]').onclick = async () => {
+            const res = await remote.dialog.showOpenDialog(remote.getCurrentWindow(), {
+                title: 'Select Instance Icon',
+                properties: ['openFile'],
+                filters: [{ name: 'Images', extensions: ['png', 'jpg', 'jpeg', 'gif'] }]
+            })
+            if (!res.canceled) {
+                ConfigManager.setInstanceIcon(instance.id, res.filePaths[0])
+                ConfigManager.save()
+                populateInstanceList()
+            }
+        }
+        row.querySelector('[instanceAction="rename"]').onchange = (e) => {
+            try {
+                InstanceManager.renameInstance(instance.id, e.target.value)
+                refreshInstanceViews()
+            } catch (err) {
+                e.target.value = instance.name
+                showSettingsError('Unable to Rename Instance', err)
+            }
+        }
+        row.querySelector('[instanceAction="duplicate"]').onclick = async () => {
+            try {
+                await InstanceManager.duplicateInstance(instance.id, `${instance.name} (Copy)`)
+                refreshInstanceViews()
+            } catch (err) {
+                showSettingsError('Unable to Duplicate Instance', err)
+            }
+        }
+        row.querySelector('[instanceAction="delete"]').onclick = () => {
+            setOverlayContent(
+                'Delete Instance?',
+                `The instance ${instance.name} will be deleted. Its game directory, including worlds and screenshots, will be deleted as well.`,
+                'Delete',
+                'Cancel'
+            )
+            setOverlayHandler(async () => {
+                toggleOverlay(false)
+                try {
+                    await InstanceManager.deleteInstance(instance.id)
+                    refreshInstanceViews()
+                } catch (err) {
+                    showSettingsError('Unable to Delete Instance', err)
+                }
+            })
+            setDismissHandler(null)
+            toggleOverlay(true, true)
+        }
+
+        settingsInstanceList.appendChild(row)
+    }
+}
+
+document.getElementById('settingsInstanceCreate').addEventListener('click', () => {
+    try {
+        InstanceManager.createInstance(settingsInstanceNewName.value, ConfigManager.getSelectedInstance().version)
+        settingsInstanceNewName.value = ''
+        refreshInstanceViews()
+    } catch (err) {
+        showSettingsError('Unable to Create Instance', err)
+    }
+})
+
+/**
+ * Servers Tab
+ */
+
+// DOM Cache
+const settingsServerList = document.getElementById('settingsServerList')
+const settingsServerNewName = document.getElementById('settingsServerNewName')
+const settingsServerNewAddress = document.getElementById('settingsServerNewAddress')
+
+/**
+ * Fill the server list of the servers tab.
+ */
+function populateSettingsServerList() {
+    settingsServerList.innerHTML = ''
+
+    for (const server of ServerManager.getServers()) {
+        const row = document.createElement('div')
+        row.className = 'flex flex-1 flex-row items-center space-x-3 no-drag'
+        row.innerHTML = `
+            <div class="flex flex-col flex-1">
+                <span class="text-white font-bold"></span>
+                <span class="text-sm color-gray-2 mt-1"></span>
+            </div>
+            <button class="px-4 py-2 bg-red-500 shadow-sm outline-none focus:outline-none text-white rounded-lg">Remove</button>`
+        row.querySelector('.text-white').textContent = server.name
+        row.querySelector('.color-gray-2').textContent = server.address
+        row.querySelector('button').onclick = () => {
+            ServerManager.removeServer(server.address)
+            populateSettingsServerList()
+            populateServerList()
+        }
+        settingsServerList.appendChild(row)
+    }
+}
+
+document.getElementById('settingsServerAdd').addEventListener('click', () => {
+    try {
+        ServerManager.addServer(settingsServerNewName.value, settingsServerNewAddress.value)
+        settingsServerNewName.value = ''
+        settingsServerNewAddress.value = ''
+        populateSettingsServerList()
+        populateServerList()
+        refreshServerStatuses()
+    } catch (err) {
+        showSettingsError('Unable to Add Server', err)
+    }
+})
+
+/**
+ * Settings Scope
+ */
+
+// DOM Cache
+const settingsScopeSelect = document.getElementById('settingsScopeSelect')
+
+/**
+ * Fill the scope picker with the global scope and every instance.
+ */
+function populateSettingsScopeSelect() {
+    settingsScopeSelect.innerHTML = ''
+    settingsScopeSelect.add(new Option('Global', '', false, settingsState.scope == null))
+    for (const instance of ConfigManager.getInstances()) {
+        settingsScopeSelect.add(new Option(instance.name, instance.id, false, instance.id === settingsState.scope))
+    }
+}
+
+/**
+ * Add an indicator to each setting which instances can override. The
+ * indicator shows whether the edited instance inherits or overrides the
+ * value, and allows an override to be reset. Editing a setting while an
+ * instance is edited overrides it.
+ */
+function bindOverrideIndicators() {
+    const sEls = document.getElementById('settingsContainer').querySelectorAll('[cValue]')
+    Array.from(sEls).map((v) => {
+        const cVal = v.getAttribute('cValue')
+        if (SETTINGS_INSTANCE_KEYS[cVal] == null) {
+            return
+        }
+
+        const indicator = document.createElement('span')
+        indicator.className = 'settingsOverrideIndicator text-xs color-gray-2 ml-3'
+        indicator.setAttribute('forCValue', cVal)
+        indicator.innerHTML = '<span></span> <a href="#" class="underline" style="display: none;">Reset</a>'
+        indicator.lastElementChild.onclick = (e) => {
+            e.preventDefault()
+            settingsState.overridden.delete(cVal)
+            const [category, key] = SETTINGS_INSTANCE_KEYS[cVal]
+            ConfigManager.clearInstanceOverride(settingsState.scope, category, key)
+            settingsState.loading = true
+            initSettingsValue(v)
+            if (v.classList.contains('rangeSlider')) {
+                bindRangeSlider()
+            }
+            settingsState.loading = false
+            updateOverrideIndicators()
+        }
+        v.parentElement.appendChild(indicator)
+
+        const onEdit = () => {
+            if (settingsState.scope != null && !settingsState.loading) {
+                settingsState.overridden.add(cVal)
+                updateOverrideIndicators()
+            }
+        }
+        v.addEventListener('change', onEdit)
+        if (v.tagName === 'INPUT') {
+            v.addEventListener('input', onEdit)
+        }
+    })
+}
+
+/**
+ * Update the override indicators for the edited scope. They are
+ * hidden while the global settings are edited.
+ */
+function updateOverrideIndicators() {
+    for (const indicator of document.getElementsByClassName('settingsOverrideIndicator')) {
+        const cVal = indicator.getAttribute('forCValue')
+        const overridden = settingsState.overridden.has(cVal)
+        indicator.style.display = settingsState.scope == null ? 'none' : null
+        indicator.firstElementChild.textContent = overridden ? 'Overridden for this instance' : 'Inherited from global settings'
+        indicator.lastElementChild.style.display = overridden ? null : 'none'
+    }
+}
+
+/**
+ * Load the values of the edited scope onto the UI.
+ */
+function loadSettingsScope() {
+    settingsState.overridden.clear()
+    if (settingsState.scope != null) {
+        for (const cVal of Object.keys(SETTINGS_INSTANCE_KEYS)) {
+            const [category, key] = SETTINGS_INSTANCE_KEYS[cVal]
+            if (ConfigManager.isInstanceOverridden(settingsState.scope, category, key)) {
+                settingsState.overridden.add(cVal)
+            }
+        }
+    }
+
+    settingsState.loading = true
+    initSettingsValues()
+    bindRangeSlider()
+    settingsState.loading = false
+    updateOverrideIndicators()
+
+    if (settingsJavaExecVal.value) {
+        populateJavaExecDetails(settingsJavaExecVal.value)
+    }
+}
+
+settingsScopeSelect.addEventListener('change', () => {
+    // Keep the edits made to the previous scope.
+    saveSettingsValues()
+    ConfigManager.save()
+
+    settingsState.scope = settingsScopeSelect.value || null
+    loadSettingsScope()
+})
+
 /**
  * Settings preparation functions.
  */
@@ -489,6 +869,13 @@ function prepareJavaTab() {
 function prepareSettings(first = false) {
     setupSettingsTabs()
     initSettingsValidators()
+    bindOverrideIndicators()
+    populateSettingsScopeSelect()
+    populateInstanceList()
+    populateSettingsServerList()
+    settingsState.loading = true
     initSettingsValues()
     prepareJavaTab()
+    settingsState.loading = false
+    updateOverrideIndicators()
 }
\ No newline at end of file
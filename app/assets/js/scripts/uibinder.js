@@ -63,9 +63,15 @@ function showMainUI() {
     // refreshServerStatus()
     setTimeout(() => {
         $('#main').show()
-        currentView = VIEWS.landing
-        $(VIEWS.landing).fadeIn(200)
-        $("#servers-holder").fadeIn(200)
+        if (ConfigManager.getSelectedAccount() != null) {
+            currentView = VIEWS.landing
+            $(VIEWS.landing).fadeIn(200)
+            $("#servers-holder").fadeIn(200)
+        } else {
+            prepareLoginView(false)
+            currentView = VIEWS.login
+            $(VIEWS.login).fadeIn(200)
+        }
     }, 750)
 }
 
@@ -0,0 +1,168 @@
+/**
+ * Encrypts sensitive configuration values at rest. Values are encrypted with
+ * AES-256-GCM using a per-install key. The key itself is protected by
+ * Electron's safeStorage when the OS offers a real keyring. On Linux without
+ * a keyring it is stored in a file which only the current user can read. File
+ * permissions do not protect the key on other platforms, values are stored
+ * unencrypted there if safeStorage is unavailable.
+ */
+// Requirements
+const crypto = require('crypto')
+const fs     = require('fs-extra')
+const path   = require('path')
+
+const logger = require('./loggerutil')('%c[SecretStore]', 'color: #a02d2a; font-weight: bold')
+
+const ALGORITHM = 'aes-256-gcm'
+const PREFIX = 'enc:v1:'
+const KEY_FILE = 'secrets.key'
+
+let key = null
+let protection = 'none'
+
+/**
+ * Retrieve Electron's safeStorage if it can be used to protect the key.
+ * Forked processes do not have access to electron, and on Linux without
+ * a keyring safeStorage falls back to a hardcoded password, which is no
+ * better than the file fallback.
+ *
+ * @returns {Object} The safeStorage module, or null if it is unavailable.
+ */
+function getSafeStorage(){
+    let safeStorage = null
+    try {
+        const electron = require('electron')
+        if(typeof electron === 'object'){
+            safeStorage = electron.safeStorage || require('@electron/remote').safeStorage
+        }
+    } catch (err) {
+        return null
+    }
+    if(safeStorage == null || !safeStorage.isEncryptionAvailable()){
+        return null
+    }
+    if(typeof safeStorage.getSelectedStorageBackend === 'function'
+        && ['basic_text', 'unknown'].includes(safeStorage.getSelectedStorageBackend())){
+        return null
+    }
+    return safeStorage
+}
+
+/**
+ * Load the per-install key from the given directory. If no key exists and
+ * create is true, a new key is generated and saved.
+ *
+ * @param {string} dir The directory which holds the key file.
+ * @param {boolean} create Whether a new key may be generated.
+ * @returns {boolean} True if a key is available, otherwise false.
+ */
+exports.load = function(dir, create){
+    const keyPath = path.join(dir, KEY_FILE)
+    key = null
+    protection = 'none'
+
+    if(fs.existsSync(keyPath)){
+        try {
+            const keyData = JSON.parse(fs.readFileSync(keyPath, 'UTF-8'))
+            if(keyData.protection === 'safeStorage'){
+                const safeStorage = getSafeStorage()
+                if(safeStorage == null){
+                    logger.warn('The secrets key is protected by safeStorage, which is unavailable.')
+                    return false
+                }
+                key = Buffer.from(safeStorage.decryptString(Buffer.from(keyData.key, 'base64')), 'hex')
+            } else {
+                key = Buffer.from(keyData.key, 'base64')
+            }
+            protection = keyData.protection
+        } catch (err){
+            logger.error('Unable to read the secrets key.', err)
+            key = null
+        }
+        return key != null
+    }
+
+    if(!create){
+        return false
+    }
+
+    const safeStorage = getSafeStorage()
+    if(safeStorage == null && process.platform !== 'linux'){
+        logger.warn('safeStorage is unavailable, credentials are stored unencrypted.')
+        return false
+    }
+
+    key = crypto.randomBytes(32)
+    let keyData
+    if(safeStorage != null){
+        keyData = {
+            protection: 'safeStorage',
+            key: safeStorage.encryptString(key.toString('hex')).toString('base64')
+        }
+    } else {
+        logger.warn('safeStorage is unavailable, protecting the secrets key with file permissions.')
+        keyData = {
+            protection: 'file',
+            key: key.toString('base64')
+        }
+    }
+    protection = keyData.protection
+    fs.ensureDirSync(dir)
+    fs.writeFileSync(keyPath, JSON.stringify(keyData), { encoding: 'UTF-8', mode: 0o600 })
+    logger.log('Generated a new secrets key.')
+    return true
+}
+
+/**
+ * Retrieve how the key is protected at rest.
+ *
+ * @returns {string} safeStorage if the key is protected by the OS keyring, file if
+ * it is only protected by file permissions, or none if there is no key and values
+ * are stored unencrypted.
+ */
+exports.getProtection = function(){
+    return protection
+}
+
+/**
+ * @returns {boolean} Whether or not values can be encrypted and decrypted.
+ */
+exports.isAvailable = function(){
+    return key != null
+}
+
+/**
+ * Check if a value has been encrypted by this module.
+ *
+ * @param {*} value The value to check.
+ * @returns {boolean} True if the value is an encrypted string, otherwise false.
+ */
+exports.isEncrypted = function(value){
+    return typeof value === 'string' && value.startsWith(PREFIX)
+}
+
+/**
+ * Encrypt a value.
+ *
+ * @param {string} plaintext The value to encrypt.
+ * @returns {string} The encrypted value.
+ */
+exports.encrypt = function(plaintext){
+    const iv = crypto.randomBytes(12)
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv)
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()])
+    return PREFIX + Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64')
+}
+
+/**
+ * Decrypt a value.
+ *
+ * @param {string} value The encrypted value.
+ * @returns {string} The plaintext value.
+ */
+exports.decrypt = function(value){
+    const buf = Buffer.from(value.substring(PREFIX.length), 'base64')
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, buf.slice(0, 12))
+    decipher.setAuthTag(buf.slice(12, 28))
+    return Buffer.concat([decipher.update(buf.slice(28)), decipher.final()]).toString('utf8')
+}
@@ -0,0 +1,119 @@
+/**
+ * Manages the servers which can be joined from the launcher. Partner servers
+ * are published by Crystal Client, users can add their own servers which are
+ * stored in the ConfigManager.
+ */
+// Requirements
+const ConfigManager = require('./configmanager')
+const HttpClient    = require('./httpclient')
+const logger        = require('./loggerutil')('%c[ServerManager]', 'color: #7289da; font-weight: bold')
+
+const PARTNERS_URL = 'https://libraries.crystaldev.co/partners.json'
+const DEFAULT_PORT = 25565
+
+/**
+ * @typedef ServerEntry
+ * @property {string} name The display name of the server.
+ * @property {string} address The address of the server, ex. play.example.com:25565.
+ * @property {boolean} partner Whether the server is a Crystal Client partner.
+ * @property {string} url Partners only. The website of the server.
+ * @property {string} logo Partners only. The url of the server logo.
+ */
+
+// Functions
+
+/**
+ * Parse a server address. The port is optional and defaults to 25565,
+ * IPv6 addresses have to be enclosed in brackets to declare a port.
+ *
+ * @param {string} address The address to parse, ex. play.example.com:25565.
+ * @returns {{host: string, port: number, srv: boolean}} The host and port of the server. If
+ * the port was omitted, srv is true and a SRV record may override the host and port.
+ */
+exports.parseAddress = function(address){
+    const match = /^\s*(?:\[([0-9A-Fa-f:.]+)\]|([^\s:]+))(?::(\d{1,5}))?\s*$/.exec(address || '')
+    let host
+    let port = DEFAULT_PORT
+    if(match != null){
+        host = match[1] || match[2]
+        if(match[3] != null){
+            port = Number(match[3])
+        }
+    } else if(/^[0-9A-Fa-f:]+$/.test((address || '').trim()) && address.includes('::')){
+        // Bare IPv6 address.
+        host = address.trim()
+    }
+
+    if(host == null || port < 1 || port > 65535){
+        const err = new Error(`Invalid server address: ${address}`)
+        err.code = 'invalidAddress'
+        throw err
+    }
+    return { host, port, srv: match == null || match[3] == null }
+}
+
+/**
+ * Load the partner servers of Crystal Client.
+ *
+ * @returns {Promise.<Array.<ServerEntry>>} Promise which resolves to the partner servers.
+ */
+exports.loadPartners = async function(){
+    const res = await HttpClient.get(PARTNERS_URL, { timeout: 15000 })
+    const partners = []
+    for(const partner of res.data.partners){
+        try {
+            exports.parseAddress(partner.ip)
+        } catch (err) {
+            logger.warn('Skipping partner with an invalid address', partner.name, partner.ip)
+            continue
+        }
+        partners.push({
+            name: partner.name,
+            address: partner.ip,
+            partner: true,
+            url: partner.url,
+            logo: partner.logo
+        })
+    }
+    return partners
+}
+
+/**
+ * @returns {Array.<ServerEntry>} The servers added by the user.
+ */
+exports.getServers = function(){
+    return ConfigManager.getServers().map(server => ({
+        name: server.name,
+        address: server.address,
+        partner: false
+    }))
+}
+
+/**
+ * Add a server to the user's server list. The list is saved.
+ *
+ * @param {string} name The display name of the server. Defaults to the address.
+ * @param {string} address The address of the server.
+ * @returns {ServerEntry} The server entry.
+ */
+exports.addServer = function(name, address){
+    exports.parseAddress(address)
+    address = address.trim()
+    const server = ConfigManager.addServer(name != null && name.trim().length > 0 ? name.trim() : address, address)
+    ConfigManager.save()
+
+    logger.log('Added server', address)
+    return { name: server.name, address: server.address, partner: false }
+}
+
+/**
+ * Remove a server from the user's server list. The list is saved.
+ *
+ * @param {string} address The address of the server.
+ * @returns {boolean} True if the server was removed, otherwise false.
+ */
+exports.removeServer = function(address){
+    const removed = ConfigManager.removeServer(address)
+    ConfigManager.save()
+    return removed
+}
@@ -0,0 +1,339 @@
+/**
+ * Retrieves the status of Minecraft servers using the Server List Ping
+ * protocol. Servers since 1.7 are pinged with the handshake and status
+ * packets, older servers are pinged with the legacy 0xFE packet.
+ */
+// Requirements
+const dns           = require('dns')
+const net           = require('net')
+
+const ServerManager = require('./servermanager')
+
+const TIMEOUT = 5000
+
+/**
+ * @typedef ServerStatus
+ * @property {boolean} online Whether the server responded.
+ * @property {{online: number, max: number}} players The player count, if online.
+ * @property {string} motd The message of the day without formatting codes, if online.
+ * @property {string} version The name of the server version, if online.
+ * @property {number} latency The round trip time in milliseconds, if online.
+ * @property {string} error The reason the server is offline, if offline.
+ */
+
+// Functions
+
+/**
+ * Encode a number as a VarInt.
+ *
+ * @param {number} value The number to encode.
+ * @returns {Buffer} The encoded VarInt.
+ */
+function encodeVarInt(value){
+    const bytes = []
+    value >>>= 0
+    do {
+        let byte = value & 0x7f
+        value >>>= 7
+        if(value !== 0){
+            byte |= 0x80
+        }
+        bytes.push(byte)
+    } while(value !== 0)
+    return Buffer.from(bytes)
+}
+
+/**
+ * Decode a VarInt.
+ *
+ * @param {Buffer} buf The buffer to read from.
+ * @param {number} offset The offset of the VarInt.
+ * @returns {{value: number, size: number}} The decoded value and its size in bytes, or null if the buffer ends first.
+ */
+function decodeVarInt(buf, offset){
+    let value = 0
+    for(let i=0; i<5; i++){
+        if(offset + i >= buf.length){
+            return null
+        }
+        const byte = buf[offset + i]
+        value |= (byte & 0x7f) << (7 * i)
+        if((byte & 0x80) === 0){
+            return { value, size: i + 1 }
+        }
+    }
+    throw new Error('VarInt is too big.')
+}
+
+/**
+ * Build a packet, prefixed by its length.
+ *
+ * @param {number} id The packet id.
+ * @param {Array.<Buffer>} fields The encoded fields of the packet.
+ * @returns {Buffer} The packet.
+ */
+function buildPacket(id, fields = []){
+    const data = Buffer.concat([encodeVarInt(id), ...fields])
+    return Buffer.concat([encodeVarInt(data.length), data])
+}
+
+/**
+ * Read the first complete packet of a buffer.
+ *
+ * @param {Buffer} buf The received data.
+ * @returns {{id: number, data: Buffer, size: number}} The packet id, its data and the
+ * total size of the packet, or null if the packet is incomplete.
+ */
+function readPacket(buf){
+    const length = decodeVarInt(buf, 0)
+    if(length == null || buf.length < length.size + length.value){
+        return null
+    }
+    const id = decodeVarInt(buf, length.size)
+    return {
+        id: id.value,
+        data: buf.slice(length.size + id.size, length.size + length.value),
+        size: length.size + length.value
+    }
+}
+
+/**
+ * Convert a chat component, as used by the description of a server, to plain text.
+ *
+ * @param {string | Object} component The chat component.
+ * @returns {string} The text of the component.
+ */
+function componentToText(component){
+    if(component == null){
+        return ''
+    }
+    if(typeof component === 'string'){
+        return component
+    }
+    if(Array.isArray(component)){
+        return component.map(componentToText).join('')
+    }
+    let text = component.text || component.translate || ''
+    if(component.extra != null){
+        text += component.extra.map(componentToText).join('')
+    }
+    return text
+}
+
+/**
+ * Remove the formatting codes of a message.
+ *
+ * @param {string} text The formatted text.
+ * @returns {string} The plain text.
+ */
+function stripFormatting(text){
+    return text.replace(/§./g, '')
+}
+
+/**
+ * Open a TCP connection and collect the response of a ping.
+ *
+ * @param {string} host The host of the server.
+ * @param {number} port The port of the server.
+ * @param {function(net.Socket): void} onConnect Called once connected, sends the request.
+ * @param {function(Buffer, net.Socket): *} onData Called with all data received so far. Returns
+ * the result once the response is complete, otherwise undefined.
+ * @returns {Promise.<*>} Promise which resolves to the result.
+ */
+function exchange(host, port, onConnect, onData){
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host, port })
+        let buf = Buffer.alloc(0)
+        let done = false
+
+        const finish = (err, res) => {
+            if(!done){
+                done = true
+                socket.destroy()
+                err != null ? reject(err) : resolve(res)
+            }
+        }
+
+        socket.setTimeout(TIMEOUT, () => {
+            const err = new Error('Timed out.')
+            err.code = 'ETIMEDOUT'
+            finish(err)
+        })
+        socket.on('connect', () => onConnect(socket))
+        socket.on('data', (chunk) => {
+            buf = Buffer.concat([buf, chunk])
+            try {
+                const res = onData(buf, socket)
+                if(res !== undefined){
+                    finish(null, res)
+                }
+            } catch (err) {
+                finish(err)
+            }
+        })
+        socket.on('error', (err) => finish(err))
+        socket.on('close', () => {
+            const err = new Error('Connection closed by the server.')
+            err.code = 'ECONNRESET'
+            finish(err)
+        })
+    })
+}
+
+/**
+ * Ping a server with the protocol used since 1.7.
+ *
+ * @param {string} host The host of the server.
+ * @param {number} port The port of the server.
+ * @returns {Promise.<ServerStatus>} Promise which resolves to the status of the server.
+ */
+async function ping(host, port){
+    let status = null
+    let offset = 0
+    let sentAt = null
+    const res = await exchange(host, port, (socket) => {
+        const hostBuf = Buffer.from(host, 'utf8')
+        const portBuf = Buffer.alloc(2)
+        portBuf.writeUInt16BE(port)
+        // Handshake with the next state set to status, followed by the status request.
+        socket.write(buildPacket(0x00, [encodeVarInt(-1), encodeVarInt(hostBuf.length), hostBuf, portBuf, encodeVarInt(1)]))
+        socket.write(buildPacket(0x00))
+        sentAt = Date.now()
+    }, (buf, socket) => {
+        const packet = readPacket(buf.slice(offset))
+        if(packet == null){
+            return undefined
+        }
+        offset += packet.size
+
+        if(status == null){
+            if(packet.id !== 0x00){
+                throw new Error(`Unexpected packet ${packet.id} in the status response.`)
+            }
+            const length = decodeVarInt(packet.data, 0)
+            status = JSON.parse(packet.data.slice(length.size, length.size + length.value).toString('utf8'))
+            status.latency = Date.now() - sentAt
+
+            // The status may take a while to build, the ping measures the actual latency.
+            sentAt = Date.now()
+            socket.write(buildPacket(0x01, [Buffer.alloc(8)]))
+            return undefined
+        }
+        if(packet.id === 0x01){
+            status.latency = Date.now() - sentAt
+        }
+        return status
+    }).catch((err) => {
+        // Some servers close the connection instead of answering the ping.
+        if(status != null){
+            return status
+        }
+        throw err
+    })
+
+    return {
+        online: true,
+        players: {
+            online: res.players != null ? res.players.online : 0,
+            max: res.players != null ? res.players.max : 0
+        },
+        motd: stripFormatting(componentToText(res.description)),
+        version: res.version != null ? res.version.name : null,
+        latency: res.latency
+    }
+}
+
+/**
+ * Ping a server with the legacy 0xFE packet, which servers before 1.7 understand.
+ *
+ * @param {string} host The host of the server.
+ * @param {number} port The port of the server.
+ * @returns {Promise.<ServerStatus>} Promise which resolves to the status of the server.
+ */
+async function pingLegacy(host, port){
+    let sentAt = null
+    const res = await exchange(host, port, (socket) => {
+        socket.write(Buffer.from([0xfe, 0x01]))
+        sentAt = Date.now()
+    }, (buf) => {
+        if(buf[0] !== 0xff){
+            throw new Error('Unexpected response to the legacy ping.')
+        }
+        if(buf.length < 3 || buf.length < 3 + buf.readUInt16BE(1) * 2){
+            return undefined
+        }
+        // The response is a UTF-16BE string.
+        const str = buf.slice(3, 3 + buf.readUInt16BE(1) * 2).swap16().toString('utf16le')
+        return { str, latency: Date.now() - sentAt }
+    })
+
+    if(res.str.startsWith('§1\0')){
+        // 1.4 to 1.6: §1, protocol, version, motd, online players, max players.
+        const fields = res.str.split('\0')
+        return {
+            online: true,
+            players: { online: Number(fields[4]), max: Number(fields[5]) },
+            motd: stripFormatting(fields[3]),
+            version: fields[2],
+            latency: res.latency
+        }
+    }
+    // Beta 1.8 to 1.3: motd, online players and max players separated by §.
+    const fields = res.str.split('§')
+    return {
+        online: true,
+        players: { online: Number(fields[fields.length - 2]), max: Number(fields[fields.length - 1]) },
+        motd: fields.slice(0, -2).join('§'),
+        version: null,
+        latency: res.latency
+    }
+}
+
+/**
+ * Resolve the host and port to connect to. If the address does not declare a port,
+ * the _minecraft._tcp SRV record of the host takes precedence.
+ *
+ * @param {string} address The address of the server.
+ * @returns {Promise.<{host: string, port: number}>} Promise which resolves to the host and port.
+ */
+exports.resolveAddress = async function(address){
+    const { host, port, srv } = ServerManager.parseAddress(address)
+    if(!srv || net.isIP(host) !== 0){
+        return { host, port }
+    }
+    try {
+        const records = await dns.promises.resolveSrv(`_minecraft._tcp.${host}`)
+        if(records.length > 0){
+            records.sort((a, b) => a.priority - b.priority || b.weight - a.weight)
+            return { host: records[0].name, port: records[0].port }
+        }
+    } catch (err) {
+        // No SRV record, connect to the host directly.
+    }
+    return { host, port }
+}
+
+/**
+ * Retrieve the status of a server. The legacy ping is used if the server
+ * does not answer the current protocol.
+ *
+ * @param {string} address The address of the server.
+ * @returns {Promise.<ServerStatus>} Promise which resolves to the status of the server.
+ * Unreachable servers resolve to an offline status.
+ */
+exports.getStatus = async function(address){
+    let target
+    try {
+        target = await exports.resolveAddress(address)
+        return await ping(target.host, target.port)
+    } catch (err) {
+        if(target == null || ['ENOTFOUND', 'ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH'].includes(err.code)){
+            return { online: false, error: err.message }
+        }
+        try {
+            return await pingLegacy(target.host, target.port)
+        } catch (legacyErr) {
+            return { online: false, error: err.message }
+        }
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * Remembers which files have been verified against their hash. A file is
+ * recorded with its size and modification time, as long as neither changes
+ * the file does not have to be hashed again. The index is stored in the
+ * common directory, so every instance benefits from it.
+ */
+// Requirements
+const fs   = require('fs-extra')
+const path = require('path')
+
+const logger = require('./loggerutil')('%c[ValidationIndex]', 'color: #3e8e41; font-weight: bold')
+
+const INDEX_FILE = 'validation_index.json'
+const INDEX_VERSION = 1
+
+/**
+ * @typedef IndexEntry
+ * @property {number} size The size of the file in bytes.
+ * @property {number} mtime The modification time of the file in milliseconds.
+ * @property {string} algo The algorithm of the verified hash.
+ * @property {string} hash The verified hash.
+ */
+
+/** Class representing the validation index of a common directory. */
+class ValidationIndex {
+
+    /**
+     * Create a validation index. The index is empty until it is loaded.
+     *
+     * @param {string} commonPath The common directory the index is stored in.
+     */
+    constructor(commonPath){
+        this.indexPath = path.join(commonPath, INDEX_FILE)
+        this.entries = {}
+        this.dirty = false
+    }
+
+    /**
+     * Load the index from disk. A missing or unreadable index is treated as empty.
+     *
+     * @returns {Promise.<void>} An empty promise to indicate the index has been loaded.
+     */
+    async load(){
+        this.entries = {}
+        this.dirty = false
+        try {
+            const data = JSON.parse(await fs.readFile(this.indexPath, 'UTF-8'))
+            if(data.version === INDEX_VERSION && data.entries != null){
+                this.entries = data.entries
+            }
+        } catch (err) {
+            if(err.code !== 'ENOENT'){
+                logger.warn('Unable to read the validation index, files will be verified again.', err.message)
+            }
+        }
+    }
+
+    /**
+     * Save the index if it has changed. The index is written to a temporary
+     * file first, so an interrupted save does not corrupt it. A failed save is
+     * not fatal, the files are verified again next time.
+     *
+     * @returns {Promise.<void>} An empty promise to indicate the index has been saved.
+     */
+    async save(){
+        if(!this.dirty){
+            return
+        }
+        const tmpPath = this.indexPath + '.tmp'
+        try {
+            await fs.ensureDir(path.dirname(this.indexPath))
+            await fs.writeFile(tmpPath, JSON.stringify({ version: INDEX_VERSION, entries: this.entries }), 'UTF-8')
+            await fs.move(tmpPath, this.indexPath, { overwrite: true })
+            this.dirty = false
+        } catch (err) {
+            logger.warn('Unable to save the validation index.', err.message)
+        }
+    }
+
+    /**
+     * Check if a file has been verified against a hash and has not changed since.
+     *
+     * @param {string} filePath The path of the file.
+     * @param {fs.Stats} stat The current stats of the file.
+     * @param {string} algo The algorithm of the hash.
+     * @param {string} hash The expected hash.
+     * @returns {boolean} True if the file can be trusted, otherwise false.
+     */
+    isVerified(filePath, stat, algo, hash){
+        const entry = this.entries[filePath]
+        return entry != null
+            && entry.size === stat.size
+            && entry.mtime === stat.mtimeMs
+            && entry.algo === algo
+            && entry.hash === hash.toLowerCase()
+    }
+
+    /**
+     * Record that a file has been verified against a hash.
+     *
+     * @param {string} filePath The path of the file.
+     * @param {fs.Stats} stat The stats of the file at the time it was verified.
+     * @param {string} algo The algorithm of the hash.
+     * @param {string} hash The verified hash.
+     */
+    record(filePath, stat, algo, hash){
+        this.entries[filePath] = {
+            size: stat.size,
+            mtime: stat.mtimeMs,
+            algo,
+            hash: hash.toLowerCase()
+        }
+        this.dirty = true
+    }
+
+    /**
+     * Forget a file, ex. because it failed verification.
+     *
+     * @param {string} filePath The path of the file.
+     */
+    remove(filePath){
+        if(this.entries[filePath] != null){
+            delete this.entries[filePath]
+            this.dirty = true
+        }
+    }
+
+}
+
+module.exports = ValidationIndex
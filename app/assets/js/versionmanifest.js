@@ -0,0 +1,223 @@
+/**
+ * Lists the game versions which can be launched. Crystal Client builds are
+ * declared here, vanilla versions are read from Mojang's version manifest
+ * and loader versions (Forge, Fabric, OptiFine) are read from the versions
+ * installed in the common directory.
+ */
+// Requirements
+const fs    = require('fs-extra')
+const path  = require('path')
+
+const ConfigManager = require('./configmanager')
+const HttpClient = require('./httpclient')
+const logger = require('./loggerutil')('%c[VersionManifest]', 'color: #353232; font-weight: bold')
+
+const MANIFEST_URL = 'https://launchermeta.mojang.com/mc/game/version_manifest_v2.json'
+
+/**
+ * @typedef VersionEntry
+ * @property {string} id The id of the version. Version files are stored under this id.
+ * @property {string} name The display name of the version.
+ * @property {string} type The version type (crystal, local, release, snapshot, old_beta, old_alpha).
+ * @property {string} url The url of the version JSON, or null for local versions.
+ * @property {string} releaseTime The release time of the version.
+ * @property {string} mcVersion The Minecraft version the entry is based on.
+ */
+
+/**
+ * Crystal Client builds. These are always listed first.
+ *
+ * @type {Array.<VersionEntry>}
+ */
+const CRYSTAL_VERSIONS = [
+    {
+        id: 'crystal-1.8.9',
+        name: 'Crystal Client 1.8.9',
+        type: 'crystal',
+        url: 'https://libraries.crystaldev.co/CrystalClient.json',
+        releaseTime: '2015-12-03T09:24:39+00:00',
+        mcVersion: '1.8.9'
+    }
+]
+
+/**
+ * The minimum Java major version required by versions released after each date.
+ */
+const JAVA_REQUIREMENTS = [
+    { releaseTime: '2024-04-03T00:00:00+00:00', major: 21 }, // 24w14a
+    { releaseTime: '2021-11-16T00:00:00+00:00', major: 17 }, // 1.18-pre2
+    { releaseTime: '2021-05-12T00:00:00+00:00', major: 16 }  // 21w19a
+]
+
+let vanillaVersions = null
+
+/**
+ * @returns {string} The path where the version manifest is cached.
+ */
+function getManifestPath(){
+    return path.join(ConfigManager.getCommonDirectory(), 'versions', 'version_manifest_v2.json')
+}
+
+/**
+ * Convert a version of Mojang's manifest into a version entry.
+ *
+ * @param {Object} version The version from the manifest.
+ * @returns {VersionEntry} The version entry.
+ */
+function toVersionEntry(version){
+    return {
+        id: version.id,
+        name: version.id,
+        type: version.type,
+        url: version.url,
+        releaseTime: version.releaseTime,
+        mcVersion: version.id
+    }
+}
+
+/**
+ * Load the vanilla versions from Mojang's version manifest. The manifest
+ * is cached in the common directory, which is used if it cannot be downloaded.
+ *
+ * @param {boolean} force Optional. If true, the manifest is downloaded even if it was loaded before.
+ * @returns {Promise.<Array.<VersionEntry>>} Promise which resolves to the vanilla versions.
+ */
+exports.loadVanillaVersions = async function(force = false){
+    if(vanillaVersions != null && !force){
+        return vanillaVersions
+    }
+
+    const manifestPath = getManifestPath()
+    let manifest = null
+    try {
+        const res = await HttpClient.get(MANIFEST_URL, { timeout: 15000 })
+        manifest = res.data
+        await fs.ensureDir(path.dirname(manifestPath))
+        await fs.writeFile(manifestPath, JSON.stringify(manifest), 'UTF-8')
+    } catch (err) {
+        logger.warn('Unable to download the version manifest, using the cached copy.', err.message)
+        if(await fs.pathExists(manifestPath)){
+            try {
+                manifest = JSON.parse(await fs.readFile(manifestPath, 'UTF-8'))
+            } catch (parseErr) {
+                logger.warn('The cached version manifest is corrupt.', parseErr.message)
+            }
+        }
+    }
+
+    if(manifest == null || !Array.isArray(manifest.versions)){
+        // Nothing is cached, so the manifest is loaded again next time.
+        return []
+    }
+    vanillaVersions = manifest.versions.map(toVersionEntry)
+    return vanillaVersions
+}
+
+/**
+ * Load the versions which are installed in the common directory but are not
+ * listed in Mojang's manifest. These are usually loader versions which inherit
+ * from a vanilla version.
+ *
+ * @returns {Promise.<Array.<VersionEntry>>} Promise which resolves to the local versions.
+ */
+exports.loadLocalVersions = async function(){
+    const versionsDir = path.join(ConfigManager.getCommonDirectory(), 'versions')
+    if(!await fs.pathExists(versionsDir)){
+        return []
+    }
+
+    const listed = CRYSTAL_VERSIONS.concat(await exports.loadVanillaVersions())
+    const known = new Set(listed.map(v => v.id))
+    const localVersions = []
+    for(const id of await fs.readdir(versionsDir)){
+        const versionFile = path.join(versionsDir, id, id + '.json')
+        if(known.has(id) || !await fs.pathExists(versionFile)){
+            continue
+        }
+        try {
+            const versionData = JSON.parse(await fs.readFile(versionFile, 'UTF-8'))
+            // Loader versions may omit the release time, the one of the parent applies.
+            const parent = listed.find(v => v.id === versionData.inheritsFrom)
+            localVersions.push({
+                id,
+                name: id,
+                type: 'local',
+                url: null,
+                releaseTime: versionData.releaseTime || (parent != null ? parent.releaseTime : null),
+                mcVersion: versionData.inheritsFrom || id
+            })
+        } catch (err) {
+            logger.warn('Unable to read the local version', id, err.message)
+        }
+    }
+    return localVersions
+}
+
+/**
+ * Filter a list of versions by type. Crystal builds and local versions are never filtered out.
+ *
+ * @param {Array.<VersionEntry>} versions The versions to filter.
+ * @param {{release: boolean, snapshot: boolean, old: boolean}} filters The types to include.
+ * @returns {Array.<VersionEntry>} The versions which pass the filters.
+ */
+exports.filterVersions = function(versions, filters){
+    return versions.filter(v => {
+        switch(v.type){
+            case 'crystal':
+            case 'local':
+                return true
+            case 'release':
+                return filters.release
+            case 'snapshot':
+                return filters.snapshot
+            case 'old_beta':
+            case 'old_alpha':
+                return filters.old
+            default:
+                return false
+        }
+    })
+}
+
+/**
+ * Retrieve every available version, Crystal builds first, followed by local versions.
+ *
+ * @param {{release: boolean, snapshot: boolean, old: boolean}} filters Optional. The types to include.
+ * @returns {Promise.<Array.<VersionEntry>>} Promise which resolves to the available versions.
+ */
+exports.getVersions = async function(filters = null){
+    const versions = CRYSTAL_VERSIONS.concat(await exports.loadLocalVersions(), await exports.loadVanillaVersions())
+    return filters == null ? versions : exports.filterVersions(versions, filters)
+}
+
+/**
+ * Retrieve a version by its id.
+ *
+ * @param {string} id The id of the version.
+ * @returns {Promise.<VersionEntry>} Promise which resolves to the version, or null if it does not exist.
+ */
+exports.getVersion = async function(id){
+    const crystal = CRYSTAL_VERSIONS.find(v => v.id === id)
+    if(crystal != null){
+        return crystal
+    }
+    return (await exports.loadVanillaVersions()).find(v => v.id === id)
+        || (await exports.loadLocalVersions()).find(v => v.id === id)
+        || null
+}
+
+/**
+ * Determine the Java major version a version requires.
+ *
+ * @param {VersionEntry} version The version.
+ * @returns {number} The required Java major version.
+ */
+exports.getRequiredJavaMajor = function(version){
+    const releaseTime = new Date(version.releaseTime)
+    for(const req of JAVA_REQUIREMENTS){
+        if(releaseTime >= new Date(req.releaseTime)){
+            return req.major
+        }
+    }
+    return 8
+}
@@ -44,6 +44,22 @@ function initAutoUpdater(event, data) {
     }) 
 }
 
+// Credentials of the proxy configured in the launcher. The renderer sends them
+// before it loads a page through the proxy, they are used for one challenge.
+let proxyCredentials = null
+ipcMain.on('proxyCredentials', (event, credentials) => {
+    proxyCredentials = credentials
+})
+app.on('login', (event, webContents, details, authInfo, callback) => {
+    if(authInfo.isProxy && proxyCredentials != null){
+        event.preventDefault()
+        const { username, password } = proxyCredentials
+        // Do not answer again if the credentials are rejected.
+        proxyCredentials = null
+        callback(username, password)
+    }
+})
+
 // Disable hardware acceleration.
 // https://electronjs.org/docs/tutorial/offscreen-rendering
 app.disableHardwareAcceleration()